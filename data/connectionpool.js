@@ -40,6 +40,22 @@
  * constantly connecting/disconnecting for each request. This reduces system
  * churn and network load.
  *
+ * Server code that needs more than one connection per key can use bounded,
+ * factory-backed pools (see #createPool, #acquire, and #release).
+ *
+ * ```js
+ * NGN.DATA.ConnectionPool.createPool('mydb', {
+ *   factory: () => MyDatabase.connect(...),
+ *   destroy: (connection) => connection.close(),
+ *   min: 2,
+ *   max: 10
+ * })
+ *
+ * NGN.DATA.ConnectionPool.acquire('mydb').then((connection) => {
+ *   connection.query(..., () => NGN.DATA.ConnectionPool.release(connection))
+ * })
+ * ```
+ *
  * @singleton
  * @private
  * @fires pool.created
@@ -60,6 +76,18 @@
  * Triggered when a client starts using the connection.
  * @fires client.disconnected
  * Triggered when a client stops using a connection.
+ * @fires pool.shutdown
+ * Triggered when #drainAll is complete. The shutdown report is passed
+ * to handlers.
+ * @fires pool.unhealthy
+ * Triggered when a connection fails its health check (see #addHealthCheck).
+ * An object with `id`, `connection`, and `error` attributes is passed to
+ * handlers (`error` is `null` unless the health check threw/rejected).
+ * @fires pool.evicted
+ * Triggered when a connection is evicted from the pool because it was
+ * unhealthy or idle for too long (see #idleTimeout). An object with `id`,
+ * `connection` and `reason` (`unhealthy` or `idle`) attributes is
+ * passed to handlers.
  */
 class ConnectionPool extends NGN.EventEmitter {
   constructor () {
@@ -68,7 +96,39 @@ class ConnectionPool extends NGN.EventEmitter {
     Object.defineProperties(this, {
       clients: NGN.private({}),
       destroyOnDrain: NGN.private(true),
-      drainMethod: NGN.private({})
+      drainMethod: NGN.private({}),
+
+      // Raw connections (reading these does not count as usage)
+      values: NGN.private({}),
+
+      // The last time each connection was used (ms since epoch)
+      lastUsed: NGN.private({}),
+
+      healthChecks: NGN.private({}),
+
+      // Usage counters for each connection (see #stats)
+      metrics: NGN.private({}),
+
+      // Usage counters of every connection/pool, including those that
+      // were removed (see #stats)
+      totals: NGN.private({
+        acquisitions: 0,
+        drains: 0,
+        errors: 0,
+        evictions: 0
+      }),
+
+      // Bounded, factory-backed connection pools
+      pools: NGN.private({}),
+
+      idleTTL: NGN.private(-1),
+      idleTimer: NGN.private(null),
+
+      // Set when the pool is shutting down (see #drainAll)
+      closing: NGN.private(false),
+
+      // The IDs of connections whose drain method is running
+      draining: NGN.private({})
     })
 
     NGN.createException({
@@ -78,12 +138,17 @@ class ConnectionPool extends NGN.EventEmitter {
     })
 
     this.on('pool.drained', (id) => {
-      if (this.destroyOnDrain) {
+      this.count(this.metrics[id], 'drains')
+
+      // While shutting down, #drainAll closes every connection itself.
+      if (this.destroyOnDrain && !this.closing && !this.draining[id]) {
         if (this.drainMethod.hasOwnProperty(id)) {
+          this.draining[id] = true
+
           if (this.drainMethod[id].length > 1) {
-            this.drainMethod[id](this[id], () => this.remove(id))
+            this.drainMethod[id](this.values[id], () => this.remove(id))
           } else {
-            this.drainMethod[id](this[id])
+            this.drainMethod[id](this.values[id])
             this.remove(id)
           }
         }
@@ -113,6 +178,32 @@ class ConnectionPool extends NGN.EventEmitter {
     this.destroyOnDrain = value
   }
 
+  /**
+   * @property {Number} idleTimeout
+   * The number of milliseconds a connection may remain unused (i.e. no
+   * `pool.used` event) before it is evicted from the pool. Set this to
+   * `-1` (the default) to keep idle connections indefinitely. Connections
+   * with registered clients (see #registerClient) are never evicted.
+   *
+   * Connections of a bounded pool (see #createPool) are evicted when they
+   * stay idle (released) for longer than the timeout, as long as the pool
+   * keeps its minimum number of connections.
+   */
+  get idleTimeout () {
+    return this.idleTTL
+  }
+
+  set idleTimeout (value) {
+    clearInterval(this.idleTimer)
+    this.idleTimer = null
+    this.idleTTL = typeof value === 'number' && value > 0 ? value : -1
+
+    if (this.idleTTL > 0) {
+      this.idleTimer = setInterval(() => this.evictIdleConnections(), Math.min(this.idleTTL, 1000))
+      this.idleTimer.unref && this.idleTimer.unref()
+    }
+  }
+
   /**
    * @method add
    * Add a new live connection. If the connection is an event EventEmitter
@@ -132,6 +223,8 @@ class ConnectionPool extends NGN.EventEmitter {
   add (key, value, drainFn, overwrite = false) {
     let triggerEvent = true
 
+    this.assertOpen()
+
     if (typeof drainFn === 'boolen') {
       overwrite = drainFn
       drainFn = null
@@ -154,11 +247,20 @@ class ConnectionPool extends NGN.EventEmitter {
       enumerable: true,
       configurable: true,
       get: () => {
+        this.lastUsed[key] = Date.now()
+        this.count(this.metrics[key], 'acquisitions')
         this.emit('pool.used', key)
         return value
       }
     })
 
+    this.values[key] = value
+    this.lastUsed[key] = Date.now()
+
+    if (triggerEvent) {
+      this.metrics[key] = this.createMetrics()
+    }
+
     // Apply automatic removal when possible.
     if (typeof value === 'object' && value.hasOwnProperty('on')) {
       value.on('disconnect', () => this.remove(key))
@@ -191,7 +293,7 @@ class ConnectionPool extends NGN.EventEmitter {
 
     let old = {
       id: key,
-      connection: this[key]
+      connection: this.values[key]
     }
 
     Object.defineProperty(this, key, {
@@ -204,10 +306,512 @@ class ConnectionPool extends NGN.EventEmitter {
       delete this.clients[key]
     }
 
+    this.removeHealthCheck(key)
+    delete this.values[key]
+    delete this.lastUsed[key]
+    delete this.metrics[key]
+    delete this.draining[key]
+
     this.emit('pool.deleted', old)
     old = null // Faster garbage collection
   }
 
+  /**
+   * @method addHealthCheck
+   * Periodically verify a connection is still usable. Connections that
+   * fail the health check are evicted from the pool.
+   *
+   * When the key identifies a bounded pool (see #createPool), the idle
+   * connections of the pool are checked. Unhealthy connections are
+   * destroyed and replaced when the pool falls below its minimum size.
+   *
+   * ```js
+   * NGN.DATA.ConnectionPool.addHealthCheck('mydb', function (connection, done) {
+   *   connection.ping((err) => done(!err))
+   * }, 10000)
+   * ```
+   * @param {string} key
+   * The unique ID of the connection.
+   * @param {Function} healthCheck
+   * The health check receives the connection as the first argument.
+   * It should return `false` (or throw an error) when the connection is
+   * unhealthy. Asynchronous health checks may return a Promise, or accept
+   * a second callback argument, which should be executed with a
+   * {Boolean} indicating the connection is healthy.
+   * @param {Number} [interval=30000]
+   * The number of milliseconds between health checks.
+   * @fires pool.unhealthy
+   */
+  addHealthCheck (key, fn, interval = 30000) {
+    if (!this.values.hasOwnProperty(key) && !this.pools.hasOwnProperty(key)) {
+      return NGN.BUS.emit('NGN.ADVISORY.WARN', `NGN.DATA.ConnectionPool cannot monitor '${key}' because it cannot be found.`)
+    }
+
+    this.removeHealthCheck(key)
+
+    let timer = setInterval(() => this.checkHealth(key), interval)
+    timer.unref && timer.unref()
+
+    this.healthChecks[key] = {
+      fn: fn,
+      timer: timer
+    }
+  }
+
+  /**
+   * @method removeHealthCheck
+   * Stop monitoring the health of a connection.
+   * @param {string} key
+   * The unique ID of the connection.
+   */
+  removeHealthCheck (key) {
+    if (this.healthChecks.hasOwnProperty(key)) {
+      clearInterval(this.healthChecks[key].timer)
+      delete this.healthChecks[key]
+    }
+  }
+
+  /**
+   * @method checkHealth
+   * Run the health check of a connection (or the idle connections of a
+   * pool). Unhealthy connections are evicted from the pool.
+   * @param {string} key
+   * The unique ID of the connection or pool.
+   * @private
+   */
+  checkHealth (key) {
+    if (!this.healthChecks.hasOwnProperty(key)) {
+      return
+    }
+
+    if (this.pools.hasOwnProperty(key)) {
+      return this.pools[key].idle.slice().forEach((connection) => this.testConnection(key, connection))
+    }
+
+    this.testConnection(key, this.values[key])
+  }
+
+  /**
+   * @method testConnection
+   * Run the health check of a single connection (see #checkHealth).
+   * @param {string} key
+   * The unique ID of the connection or pool.
+   * @param {Object} connection
+   * The connection.
+   * @private
+   */
+  testConnection (key, connection) {
+    const fn = this.healthChecks[key].fn
+    const pool = NGN.coalesce(this.pools[key])
+
+    const respond = (result, error = null) => {
+      if (result instanceof Error) {
+        error = result
+      }
+
+      if (result === false || error !== null) {
+        this.count(pool !== null ? pool.metrics : this.metrics[key], 'errors')
+
+        this.emit('pool.unhealthy', {
+          id: key,
+          connection: connection,
+          error: error
+        })
+
+        pool !== null ? this.evictPooled(key, connection, 'unhealthy') : this.evict(key, 'unhealthy')
+      }
+    }
+
+    try {
+      if (fn.length > 1) {
+        return fn(connection, respond)
+      }
+
+      let result = fn(connection)
+
+      if (result && NGN.isFn(result.then)) {
+        return result.then(respond, (e) => respond(false, e))
+      }
+
+      respond(result)
+    } catch (e) {
+      respond(false, e)
+    }
+  }
+
+  /**
+   * @method evictIdleConnections
+   * Evict connections that have not been used within the #idleTimeout.
+   * @private
+   */
+  evictIdleConnections () {
+    // While shutting down, #drainAll closes every connection itself.
+    if (this.idleTTL <= 0 || this.closing) {
+      return
+    }
+
+    const now = Date.now()
+
+    Object.keys(this.lastUsed).forEach((key) => {
+      // Connections with registered clients are in use.
+      if (now - this.lastUsed[key] >= this.idleTTL && this.activeConnections(key) === 0) {
+        this.evict(key, 'idle')
+      }
+    })
+
+    Object.keys(this.pools).forEach((key) => {
+      const pool = this.pools[key]
+
+      pool.idle.filter((connection) => now - pool.idleSince.get(connection) >= this.idleTTL).forEach((connection) => {
+        pool.busy.length + pool.idle.length + pool.pending > pool.min && this.evictPooled(key, connection, 'idle')
+      })
+    })
+  }
+
+  /**
+   * @method evict
+   * Forcibly remove a connection from the pool. The drain method of the
+   * connection (see #add) is executed so the connection can be closed.
+   * The `client.disconnected` event is triggered for each registered client.
+   * @param {string} key
+   * The unique ID of the connection.
+   * @param {string} [reason]
+   * The reason for the eviction.
+   * @fires pool.evicted
+   * @fires client.disconnected
+   */
+  evict (key, reason = null) {
+    if (!this.values.hasOwnProperty(key)) {
+      return
+    }
+
+    const connection = this.values[key]
+
+    this.count(null, 'evictions')
+
+    this.emit('pool.evicted', {
+      id: key,
+      connection: connection,
+      reason: reason
+    })
+
+    // Registered clients lose the connection.
+    Object.keys(NGN.coalesce(this.clients[key], {})).forEach((name) => {
+      this.emit('client.disconnected', {
+        connection: connection,
+        connectionId: key,
+        id: name
+      })
+    })
+
+    if (this.drainMethod.hasOwnProperty(key)) {
+      const drain = this.drainMethod[key]
+
+      try {
+        drain.length > 1 ? drain(connection, () => {}) : drain(connection)
+      } catch (e) {
+        NGN.BUS.emit('NGN.ADVISORY.WARN', `NGN.DATA.ConnectionPool could not drain '${key}': ${e.message}`)
+      }
+    }
+
+    this.remove(key)
+  }
+
+  /**
+   * @method evictPooled
+   * Remove an idle connection from a bounded pool (see #createPool) and
+   * destroy it. Connections that are acquired are not evicted. A new
+   * connection is created when the pool falls below its minimum size.
+   * @param {string} key
+   * The unique ID of the pool.
+   * @param {Object} connection
+   * The connection.
+   * @param {string} reason
+   * The reason for the eviction.
+   * @fires pool.evicted
+   * @private
+   */
+  evictPooled (key, connection, reason) {
+    const pool = NGN.coalesce(this.pools[key])
+    const index = pool !== null ? pool.idle.indexOf(connection) : -1
+
+    if (index < 0) {
+      return
+    }
+
+    pool.idle.splice(index, 1)
+    pool.idleSince.delete(connection)
+
+    this.count(null, 'evictions')
+
+    this.emit('pool.evicted', {
+      id: key,
+      connection: connection,
+      reason: reason
+    })
+
+    NGN.isFn(pool.destroy) && pool.destroy(connection)
+
+    if (pool.busy.length + pool.idle.length + pool.pending < pool.min) {
+      this.spawn(key)
+        .then((replacement) => this.recycle(key, replacement, false))
+        .catch((e) => NGN.BUS.emit('NGN.ADVISORY.WARN', `NGN.DATA.ConnectionPool could not create a connection for ${key}: ${e.message}`))
+    }
+  }
+
+  /**
+   * @method createPool
+   * Create a bounded pool of connections, all identified by the same key.
+   * Connections are created on demand using the factory, up to the
+   * maximum pool size. When the maximum is reached, #acquire waits for a
+   * connection to be released.
+   * @param {string} key
+   * The unique ID of the pool.
+   * @param {Object} config
+   * The pool configuration.
+   * @param {Function} config.factory
+   * Creates a new connection. This may return the connection or a Promise
+   * resolving with the connection.
+   * @param {Function} [config.destroy]
+   * Closes a connection. This receives the connection as an argument.
+   * @param {Number} [config.min=0]
+   * The number of connections created immediately.
+   * @param {Number} [config.max=10]
+   * The maximum number of connections.
+   * @param {Number} [config.acquireTimeout=30000]
+   * The number of milliseconds #acquire waits for a connection before
+   * failing with a DatabaseConnectionError.
+   * @fires pool.created
+   */
+  createPool (key, config) {
+    config = config || {}
+
+    this.assertOpen()
+
+    if (this.pools.hasOwnProperty(key)) {
+      throw new DatabaseConnectionError(`A connection pool for ${key} already exists.`)
+    }
+
+    if (!NGN.isFn(config.factory)) {
+      throw new DatabaseConnectionError(`Cannot create a connection pool for ${key} without a connection factory.`)
+    }
+
+    const pool = {
+      factory: config.factory,
+      destroy: NGN.coalesce(config.destroy),
+      min: NGN.coalesce(config.min, 0),
+      max: Math.max(NGN.coalesce(config.max, 10), 1),
+      timeout: NGN.coalesce(config.acquireTimeout, 30000),
+      idle: [],
+      // The time each idle connection was released (see #idleTimeout)
+      idleSince: new Map(),
+      busy: [],
+      pending: 0,
+      waiting: [],
+      lastUsed: Date.now(),
+      metrics: this.createMetrics()
+    }
+
+    pool.min = Math.min(pool.min, pool.max)
+
+    this.pools[key] = pool
+
+    for (let i = 0; i < pool.min; i++) {
+      this.spawn(key)
+        .then((connection) => this.recycle(key, connection, false))
+        .catch((e) => NGN.BUS.emit('NGN.ADVISORY.WARN', `NGN.DATA.ConnectionPool could not create a connection for ${key}: ${e.message}`))
+    }
+  }
+
+  /**
+   * @method spawn
+   * Create a new connection for a pool using its factory.
+   * @param {string} key
+   * The unique ID of the pool.
+   * @return {Promise}
+   * Resolves with the new connection.
+   * @private
+   */
+  spawn (key) {
+    const pool = this.pools[key]
+
+    pool.pending++
+
+    return Promise.resolve().then(() => pool.factory()).then((connection) => {
+      pool.pending--
+
+      // The pool was shut down while the connection was being created.
+      if (this.pools[key] !== pool) {
+        NGN.isFn(pool.destroy) && pool.destroy(connection)
+        throw new DatabaseConnectionError(`The connection pool for ${key} was closed.`)
+      }
+
+      this.emit('pool.created', {
+        id: key,
+        connection: connection
+      })
+
+      return connection
+    }, (e) => {
+      pool.pending--
+      this.count(pool.metrics, 'errors')
+      throw e
+    })
+  }
+
+  /**
+   * @method acquire
+   * Retrieve a connection from a pool (see #createPool). An idle connection
+   * is used when available. Otherwise a new connection is created, unless
+   * the pool has reached its maximum size. In that case, the request waits
+   * until a connection is released (see #release) or the acquire timeout
+   * is exceeded.
+   * @param {string} key
+   * The unique ID of the pool.
+   * @param {Function} [callback]
+   * Receives an error (or `null`) and the connection.
+   * @return {Promise}
+   * Resolves with the connection. Rejects with a DatabaseConnectionError.
+   * @fires pool.used
+   * @fires client.connected
+   */
+  acquire (key, callback) {
+    const promise = new Promise((resolve, reject) => {
+      const pool = this.pools[key]
+
+      if (this.closing) {
+        return reject(new DatabaseConnectionError('The connection pool is shutting down.'))
+      }
+
+      if (!pool) {
+        return reject(new DatabaseConnectionError(`No connection pool exists for ${key}.`))
+      }
+
+      const grant = (connection) => {
+        pool.busy.push(connection)
+        pool.lastUsed = Date.now()
+        this.count(pool.metrics, 'acquisitions')
+
+        this.emit('pool.used', key)
+        this.emit('client.connected', {
+          connection: connection,
+          connectionId: key
+        })
+
+        resolve(connection)
+      }
+
+      if (pool.idle.length > 0) {
+        let connection = pool.idle.shift()
+
+        pool.idleSince.delete(connection)
+
+        return grant(connection)
+      }
+
+      if (pool.busy.length + pool.pending < pool.max) {
+        return this.spawn(key).then(grant, (e) => {
+          let err = new DatabaseConnectionError(`Could not create a connection for ${key}: ${e.message}`)
+          err.cause = e
+          reject(err)
+        })
+      }
+
+      let waiter = {
+        grant: grant,
+        reject: reject,
+        timer: setTimeout(() => {
+          pool.waiting.splice(pool.waiting.indexOf(waiter), 1)
+          this.count(pool.metrics, 'errors')
+          reject(new DatabaseConnectionError(`Timed out after ${pool.timeout}ms waiting for a connection to ${key}.`))
+        }, pool.timeout)
+      }
+
+      pool.waiting.push(waiter)
+    })
+
+    if (NGN.isFn(callback)) {
+      promise.then((connection) => callback(null, connection), (err) => callback(err))
+    }
+
+    return promise
+  }
+
+  /**
+   * @method release
+   * Return a connection to its pool (see #acquire), making it available
+   * to other clients.
+   * @param {Object} connection
+   * The connection.
+   * @param {Boolean} [destroy=false]
+   * Set this to `true` to close the connection (using the pool `destroy`
+   * method) instead of reusing it. This is useful for broken connections.
+   * @fires client.disconnected
+   */
+  release (connection, destroy = false) {
+    let key = NGN.coalesce(Object.keys(this.pools).filter((id) => {
+      return this.pools[id].busy.indexOf(connection) >= 0
+    })[0])
+
+    if (key === null) {
+      return NGN.BUS.emit('NGN.ADVISORY.WARN', 'NGN.DATA.ConnectionPool cannot release a connection that was not acquired from a pool.')
+    }
+
+    const pool = this.pools[key]
+
+    pool.busy.splice(pool.busy.indexOf(connection), 1)
+
+    this.emit('client.disconnected', {
+      connection: connection,
+      connectionId: key
+    })
+
+    if (pool.busy.length === 0) {
+      this.count(pool.metrics, 'drains')
+    }
+
+    this.recycle(key, connection, destroy)
+  }
+
+  /**
+   * @method recycle
+   * Hand a connection to the next client waiting for the pool, or make
+   * it idle. Destroyed connections are replaced for a waiting client.
+   * @param {string} key
+   * The unique ID of the pool.
+   * @param {Object} connection
+   * The connection.
+   * @param {Boolean} destroy
+   * Close the connection instead of reusing it.
+   * @private
+   */
+  recycle (key, connection, destroy) {
+    const pool = this.pools[key]
+
+    if (destroy) {
+      NGN.isFn(pool.destroy) && pool.destroy(connection)
+
+      // Waiting clients keep their timeout until the replacement exists.
+      if (pool.waiting.length > 0) {
+        this.spawn(key)
+          .then((replacement) => this.recycle(key, replacement, false))
+          .catch((e) => NGN.BUS.emit('NGN.ADVISORY.WARN', `NGN.DATA.ConnectionPool could not create a connection for ${key}: ${e.message}`))
+      }
+
+      return
+    }
+
+    if (pool.waiting.length > 0) {
+      const waiter = pool.waiting.shift()
+
+      clearTimeout(waiter.timer)
+      return waiter.grant(connection)
+    }
+
+    pool.idle.push(connection)
+    pool.idleSince.set(connection, Date.now())
+  }
+
   /**
    * @method registerClient
    * Register a known client using a specific connection.
@@ -220,6 +824,8 @@ class ConnectionPool extends NGN.EventEmitter {
    * Returns the name.
    */
   registerClient (key, name = null) {
+    this.assertOpen()
+
     this.clients[key] = NGN.coalesce(this.clients[key], {})
 
     let id = NGN.coalesce(name, NGN.DATA.util.GUID())
@@ -257,7 +863,7 @@ class ConnectionPool extends NGN.EventEmitter {
       delete this.clients[key][name]
 
       this.emit('client.disconnected', {
-        connection: this[key],
+        connection: this.values[key],
         connectionId: key,
         id: name
       })
@@ -299,6 +905,408 @@ class ConnectionPool extends NGN.EventEmitter {
 
     return count
   }
+
+  /**
+   * @method createMetrics
+   * Generate the usage counters for a new connection or pool.
+   * @return {Object}
+   * @private
+   */
+  createMetrics () {
+    return {
+      created: Date.now(),
+      acquisitions: 0,
+      drains: 0,
+      errors: 0
+    }
+  }
+
+  /**
+   * @method count
+   * Increment a usage counter of a connection/pool and the totals
+   * (see #stats).
+   * @param {Object} metrics
+   * The usage counters of the connection or pool (see #createMetrics).
+   * @param {string} counter
+   * The name of the counter.
+   * @private
+   */
+  count (metrics, counter) {
+    if (metrics) {
+      metrics[counter]++
+    }
+
+    this.totals[counter]++
+  }
+
+  /**
+   * @method stats
+   * Retrieve usage statistics for each connection and pool. The result
+   * only contains strings, numbers, and plain objects, so it can be
+   * serialized (i.e. `JSON.stringify(NGN.DATA.ConnectionPool.stats())`)
+   * and exposed by a health/status endpoint.
+   *
+   * ```js
+   * {
+   *   timestamp: '2017-01-01T00:00:00.000Z',
+   *   summary: {
+   *     connections: 2, // Connections and pools
+   *     clients: 5,
+   *     acquisitions: 120,
+   *     drains: 3,
+   *     errors: 1,
+   *     evictions: 1
+   *   },
+   *   connections: {
+   *     mydb: {
+   *       pooled: false,
+   *       clients: 2,
+   *       age: 360000, // Milliseconds since the connection was added
+   *       lastUsed: '2017-01-01T00:00:00.000Z',
+   *       acquisitions: 100,
+   *       drains: 3,
+   *       errors: 0
+   *     },
+   *     ...
+   *   }
+   * }
+   * ```
+   *
+   * The `acquisitions`, `drains`, `errors` and `evictions` of the summary
+   * are totals since the pool was created, including connections that were
+   * removed or evicted (i.e. by a failed health check). The `connections`
+   * only report the connections that are currently open.
+   *
+   * Pools (see #createPool) also report their `size` (open connections),
+   * `idle`, and `waiting` (clients waiting for a connection) counts. The
+   * `clients` of a pool are the connections currently acquired.
+   * @param {string} [key]
+   * If provided, only the statistics of the specified connection/pool
+   * are returned (`null` if it does not exist).
+   * @return {Object}
+   */
+  stats (key = null) {
+    const now = Date.now()
+
+    const describe = (id) => {
+      let metrics
+      let result
+
+      if (this.pools.hasOwnProperty(id)) {
+        const pool = this.pools[id]
+
+        metrics = pool.metrics
+        result = {
+          pooled: true,
+          clients: pool.busy.length,
+          size: pool.busy.length + pool.idle.length,
+          idle: pool.idle.length,
+          waiting: pool.waiting.length,
+          lastUsed: new Date(pool.lastUsed).toISOString()
+        }
+      } else if (this.values.hasOwnProperty(id)) {
+        metrics = this.metrics[id]
+        result = {
+          pooled: false,
+          clients: this.activeConnections(id),
+          lastUsed: new Date(this.lastUsed[id]).toISOString()
+        }
+      } else {
+        return null
+      }
+
+      result.age = now - metrics.created
+      result.acquisitions = metrics.acquisitions
+      result.drains = metrics.drains
+      result.errors = metrics.errors
+
+      return result
+    }
+
+    if (key !== null) {
+      return describe(key)
+    }
+
+    let summary = {
+      connections: 0,
+      clients: 0,
+      acquisitions: this.totals.acquisitions,
+      drains: this.totals.drains,
+      errors: this.totals.errors,
+      evictions: this.totals.evictions
+    }
+
+    let connections = {}
+
+    Object.keys(this.values).concat(Object.keys(this.pools)).forEach((id) => {
+      if (connections.hasOwnProperty(id)) {
+        return
+      }
+
+      connections[id] = describe(id)
+
+      summary.connections++
+      summary.clients += connections[id].clients
+    })
+
+    return {
+      timestamp: new Date(now).toISOString(),
+      summary: summary,
+      connections: connections
+    }
+  }
+
+  /**
+   * @method assertOpen
+   * Prevent new connections/clients while the pool is shutting down.
+   * @private
+   */
+  assertOpen () {
+    if (this.closing) {
+      throw new DatabaseConnectionError('The connection pool is shutting down.')
+    }
+  }
+
+  /**
+   * @method close
+   * Close a connection using a drain/destroy method. The method may be
+   * synchronous, return a Promise, or accept a callback as the second
+   * argument (which may receive an error).
+   * @param {Function} fn
+   * The drain/destroy method.
+   * @param {Object} connection
+   * The connection to close.
+   * @param {Number} timeout
+   * The number of milliseconds to wait for the connection to close.
+   * @return {Promise}
+   * @private
+   */
+  close (fn, connection, timeout) {
+    return new Promise((resolve, reject) => {
+      if (!NGN.isFn(fn)) {
+        return resolve()
+      }
+
+      let timer = setTimeout(() => {
+        reject(new DatabaseConnectionError(`The connection did not close within ${timeout}ms.`))
+      }, timeout)
+
+      const done = (err) => {
+        clearTimeout(timer)
+        err instanceof Error ? reject(err) : resolve()
+      }
+
+      let result
+
+      try {
+        if (fn.length > 1) {
+          return fn(connection, done)
+        }
+
+        result = fn(connection)
+      } catch (e) {
+        return done(e instanceof Error ? e : new DatabaseConnectionError(String(e)))
+      }
+
+      if (result && NGN.isFn(result.then)) {
+        return result.then(() => done(), (e) => done(e instanceof Error ? e : new DatabaseConnectionError(String(e))))
+      }
+
+      done()
+    })
+  }
+
+  /**
+   * @method drainAll
+   * Gracefully close every connection, i.e. when the process exits.
+   * New connections, pools, and clients are refused once this is called.
+   * The pool waits for all clients to unregister (see #unregisterClient)
+   * and all pooled connections to be released (see #release), or for the
+   * timeout to expire. Then each connection is closed using its drain
+   * method (see #add) or pool `destroy` method (see #createPool).
+   * Connections whose drain method was already running (see
+   * #deleteOnEmpty) are given the same timeout to finish, and are included
+   * in the report.
+   *
+   * ```js
+   * process.on('SIGTERM', () => {
+   *   NGN.DATA.ConnectionPool.drainAll(5000).then((report) => {
+   *     process.exit(report.failed.length > 0 ? 1 : 0)
+   *   })
+   * })
+   * ```
+   *
+   * The shutdown report is an object with the following attributes:
+   *
+   * - `timedOut` {Boolean}: `true` if clients were still active when the
+   * timeout expired.
+   * - `closed` {Array}: The IDs of the connections/pools that were closed.
+   * - `failed` {Array}: An object (with `id`, `connection` and `error`
+   * attributes) for each connection that failed to close, or did not
+   * close within the timeout.
+   * @param {Number} [timeout=30000]
+   * The number of milliseconds to wait for clients to disconnect. Drain
+   * methods are allowed the same amount of time to close the connections.
+   * @param {Function} [callback]
+   * Receives the shutdown report.
+   * @return {Promise}
+   * Resolves with the shutdown report.
+   * @fires pool.shutdown
+   */
+  drainAll (timeout = 30000, callback) {
+    if (NGN.isFn(timeout)) {
+      callback = timeout
+      timeout = 30000
+    }
+
+    this.closing = true
+
+    let report = {
+      timedOut: false,
+      closed: [],
+      failed: []
+    }
+
+    const pools = Object.keys(this.pools)
+
+    // Clients waiting for a pooled connection will never receive one.
+    pools.forEach((key) => {
+      const pool = this.pools[key]
+
+      pool.waiting.splice(0).forEach((waiter) => {
+        clearTimeout(waiter.timer)
+        waiter.reject(new DatabaseConnectionError('The connection pool is shutting down.'))
+      })
+    })
+
+    const active = () => {
+      return this.activeConnections() + pools.reduce((sum, key) => sum + this.pools[key].busy.length, 0)
+    }
+
+    const idle = new Promise((resolve) => {
+      if (active() === 0) {
+        return resolve()
+      }
+
+      // Removed connections (see #remove) drop their clients without
+      // triggering client.disconnected.
+      const check = () => {
+        if (active() === 0) {
+          clearTimeout(timer)
+          this.off('client.disconnected', check)
+          this.off('pool.deleted', check)
+          resolve()
+        }
+      }
+
+      let timer = setTimeout(() => {
+        report.timedOut = true
+        this.off('client.disconnected', check)
+        this.off('pool.deleted', check)
+        resolve()
+      }, timeout)
+
+      this.on('client.disconnected', check)
+      this.on('pool.deleted', check)
+    })
+
+    const settle = (id, connection, closed) => {
+      return closed.then(() => true, (error) => {
+        report.failed.push({
+          id: id,
+          connection: connection,
+          error: error
+        })
+
+        return false
+      })
+    }
+
+    const finish = (key) => {
+      return (closed) => {
+        closed && report.closed.push(key)
+        this.values.hasOwnProperty(key) && this.remove(key)
+      }
+    }
+
+    // Connections that are already draining are removed by their drain method.
+    const drains = Object.keys(this.draining).map((key) => {
+      return settle(key, this.values[key], this.awaitRemoval(key, timeout)).then(finish(key))
+    })
+
+    const promise = idle.then(() => {
+      let closing = drains.slice()
+
+      const attempt = (id, fn, connection) => settle(id, connection, this.close(fn, connection, timeout))
+
+      Object.keys(this.values).filter((key) => !this.draining[key]).forEach((key) => {
+        closing.push(attempt(key, this.drainMethod[key], this.values[key]).then(finish(key)))
+      })
+
+      pools.forEach((key) => {
+        const pool = this.pools[key]
+        const connections = pool.idle.splice(0).concat(pool.busy.splice(0))
+
+        this.removeHealthCheck(key)
+        delete this.pools[key]
+
+        closing.push(Promise.all(connections.map((connection) => {
+          return attempt(key, pool.destroy, connection)
+        })).then((results) => {
+          results.indexOf(false) < 0 && report.closed.push(key)
+        }))
+      })
+
+      this.idleTimeout = -1
+
+      return Promise.all(closing)
+    }).then(() => {
+      this.emit('pool.shutdown', report)
+
+      return report
+    })
+
+    if (NGN.isFn(callback)) {
+      promise.then(callback)
+    }
+
+    return promise
+  }
+
+  /**
+   * @method awaitRemoval
+   * Wait for a connection to be removed (see #remove).
+   * @param {string} key
+   * The unique ID of the connection.
+   * @param {Number} timeout
+   * The number of milliseconds to wait.
+   * @return {Promise}
+   * Resolves when the connection is removed. Rejects with a
+   * DatabaseConnectionError when the timeout expires.
+   * @private
+   */
+  awaitRemoval (key, timeout) {
+    return new Promise((resolve, reject) => {
+      if (!this.values.hasOwnProperty(key)) {
+        return resolve()
+      }
+
+      const removed = (connection) => {
+        if (connection.id === key) {
+          clearTimeout(timer)
+          this.off('pool.deleted', removed)
+          resolve()
+        }
+      }
+
+      let timer = setTimeout(() => {
+        this.off('pool.deleted', removed)
+        reject(new DatabaseConnectionError(`The connection did not close within ${timeout}ms.`))
+      }, timeout)
+
+      this.on('pool.deleted', removed)
+    })
+  }
 }
 
 NGN.DATA.ConnectionPool = new ConnectionPool()
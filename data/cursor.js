@@ -0,0 +1,333 @@
+'use strict'
+
+/**
+ * @class NGN.DATA.Cursor
+ * Pages through the records of an NGN.DATA.Store without copying the
+ * entire record set. The cursor honors the filters and the order of
+ * the store (see NGN.DATA.Store#addFilter and NGN.DATA.Store#sort), and
+ * it stays up to date as records are added, removed, modified or moved.
+ *
+ * Cursors are usually created with NGN.DATA.Store#cursor:
+ *
+ * ```js
+ * let cursor = People.cursor(50)
+ *
+ * grid.show(cursor.records) // Page 1
+ *
+ * cursor.on('change', () => grid.show(cursor.records))
+ *
+ * nextButton.onclick = () => cursor.hasMore && cursor.next()
+ * ```
+ * @fires change
+ * Triggered when the current page changes, either because the cursor
+ * moved (see #next, #prev, #goto), or because the underlying records
+ * shifted. An object with `page`, `pages`, `total` and `records`
+ * attributes is passed to handlers.
+ */
+class NgnDataCursor extends NGN.EventEmitter {
+  constructor (store, config) {
+    config = config || {}
+
+    super(config)
+
+    if (!(store instanceof NGN.DATA.Store)) {
+      throw new Error('NGN.DATA.Cursor requires an NGN.DATA.Store.')
+    }
+
+    Object.defineProperties(this, {
+      /**
+       * @property {NGN.DATA.Store} store
+       * The store being paged.
+       * @readonly
+       */
+      store: NGN.const(store),
+
+      /**
+       * @cfg {number} [size=25]
+       * The number of records per page.
+       */
+      size: NGN.privateconst(Math.max(NGN.coalesce(config.size, 25), 1)),
+
+      /**
+       * @cfg {boolean} [ignoreFilters=false]
+       * Set this to `true` to page through the full unfiltered record set.
+       */
+      ignoreFilters: NGN.privateconst(NGN.coalesce(config.ignoreFilters, false)),
+
+      /**
+       * @cfg {number} [page=1]
+       * The initial page number.
+       */
+      pageNumber: NGN.private(Math.max(NGN.coalesce(config.page, 1), 1)),
+
+      // The records available to the cursor, in store order.
+      matches: NGN.private([]),
+
+      // The records available to the cursor (for fast lookups).
+      members: NGN.private(new Set()),
+
+      // The records of the current page, used to detect changes.
+      current: NGN.private([]),
+
+      // Store event handlers (see #destroy).
+      handlers: NGN.privateconst({})
+    })
+
+    // Individual record changes are applied incrementally.
+    this.handlers['record.create'] = (record) => this.include(record)
+    this.handlers['record.restored'] = (record) => this.include(record)
+    this.handlers['record.update'] = (record) => this.synchronize(record)
+    this.handlers['record.delete'] = (record) => this.exclude(record)
+
+    // Other changes affect the entire record set.
+    const rebuild = () => this.rebuild()
+
+    this.handlers['record.move'] = rebuild
+    this.handlers['sort'] = rebuild
+    this.handlers['clear'] = rebuild
+    this.handlers['load'] = rebuild
+    this.handlers['reload'] = rebuild
+    this.handlers['filter.create'] = rebuild
+    this.handlers['filter.delete'] = rebuild
+
+    Object.keys(this.handlers).forEach(eventName => this.store.on(eventName, this.handlers[eventName]))
+
+    this.rebuild(true)
+  }
+
+  /**
+   * @property {array} records
+   * The records of the current page.
+   * @readonly
+   */
+  get records () {
+    return this.matches.slice((this.pageNumber - 1) * this.size, this.pageNumber * this.size)
+  }
+
+  /**
+   * @property {number} page
+   * The current page number (starting at `1`).
+   * @readonly
+   */
+  get page () {
+    return this.pageNumber
+  }
+
+  /**
+   * @property {number} total
+   * The total number of records available to the cursor.
+   * @readonly
+   */
+  get total () {
+    return this.matches.length
+  }
+
+  /**
+   * @property {number} pages
+   * The total number of pages.
+   * @readonly
+   */
+  get pages () {
+    return Math.ceil(this.total / this.size)
+  }
+
+  /**
+   * @property {boolean} hasMore
+   * Indicates there are more pages after the current page.
+   * @readonly
+   */
+  get hasMore () {
+    return this.pageNumber < this.pages
+  }
+
+  /**
+   * @property {boolean} hasPrevious
+   * Indicates there are pages before the current page.
+   * @readonly
+   */
+  get hasPrevious () {
+    return this.pageNumber > 1
+  }
+
+  /**
+   * @method next
+   * Move to the next page.
+   * @return {array}
+   * The records of the next page, or `null` if there are no more pages.
+   * @fires change
+   */
+  next () {
+    return this.hasMore ? this.goto(this.pageNumber + 1) : null
+  }
+
+  /**
+   * @method prev
+   * Move to the previous page.
+   * @return {array}
+   * The records of the previous page, or `null` if the cursor is on the
+   * first page.
+   * @fires change
+   */
+  prev () {
+    return this.hasPrevious ? this.goto(this.pageNumber - 1) : null
+  }
+
+  /**
+   * @method goto
+   * Move to a specific page.
+   * @param {number} page
+   * The page number (starting at `1`).
+   * @return {array}
+   * The records of the page.
+   * @fires change
+   */
+  goto (page) {
+    this.pageNumber = Math.max(Math.min(page, this.pages), 1)
+    this.refresh(true)
+
+    return this.current
+  }
+
+  /**
+   * @method refresh
+   * Check whether the records of the current page have changed. If the
+   * current page no longer exists (i.e. records were removed), the cursor
+   * moves to the last page.
+   * @param {boolean} [force=false]
+   * Trigger the `change` event even if the records have not changed.
+   * @fires change
+   * @private
+   */
+  refresh (force = false) {
+    if (this.pageNumber > 1 && this.pageNumber > this.pages) {
+      this.pageNumber = Math.max(this.pages, 1)
+    }
+
+    let records = this.records
+    let changed = force || records.length !== this.current.length || records.some((record, i) => record !== this.current[i])
+
+    this.current = records
+
+    if (changed) {
+      this.emit('change', {
+        page: this.pageNumber,
+        pages: this.pages,
+        total: this.total,
+        records: records
+      })
+    }
+  }
+
+  /**
+   * @method getMatches
+   * Retrieve the records available to the cursor from the store.
+   * @return {array}
+   * @private
+   */
+  getMatches () {
+    return (this.ignoreFilters ? this.store._data : this.store.records).slice(0)
+  }
+
+  /**
+   * @method accepts
+   * Determine whether a record of the store is available to the cursor.
+   * @param {NGN.DATA.Model} record
+   * @return {boolean}
+   * @private
+   */
+  accepts (record) {
+    return this.ignoreFilters || this.store.applyFilters([record]).length > 0
+  }
+
+  /**
+   * @method rebuild
+   * Retrieve all of the records available to the cursor (i.e. when the
+   * records were reordered or the filters changed).
+   * @param {boolean} [silent=false]
+   * Do not trigger the `change` event.
+   * @private
+   */
+  rebuild (silent = false) {
+    this.matches = this.getMatches()
+    this.members = new Set(this.matches)
+
+    if (silent) {
+      this.current = this.records
+    } else {
+      this.refresh()
+    }
+  }
+
+  /**
+   * @method include
+   * Add a store record to the cursor (if it is available to the cursor).
+   * The record is placed after the closest preceding record of the store
+   * that is already part of the cursor.
+   * @param {NGN.DATA.Model} record
+   * @private
+   */
+  include (record) {
+    let index = this.store._data.indexOf(record)
+
+    if (index < 0 || this.members.has(record) || !this.accepts(record)) {
+      return
+    }
+
+    let position = 0
+
+    for (let i = index - 1; i >= 0; i--) {
+      if (this.members.has(this.store._data[i])) {
+        position = this.matches.indexOf(this.store._data[i]) + 1
+        break
+      }
+    }
+
+    this.matches.splice(position, 0, record)
+    this.members.add(record)
+    this.refresh()
+  }
+
+  /**
+   * @method exclude
+   * Remove a record from the cursor.
+   * @param {NGN.DATA.Model} record
+   * @private
+   */
+  exclude (record) {
+    if (this.members.has(record)) {
+      this.matches.splice(this.matches.indexOf(record), 1)
+      this.members.delete(record)
+      this.refresh()
+    }
+  }
+
+  /**
+   * @method synchronize
+   * Add or remove a modified record, depending on whether it still
+   * passes the filters of the store.
+   * @param {NGN.DATA.Model} record
+   * @private
+   */
+  synchronize (record) {
+    if (this.ignoreFilters) {
+      return
+    }
+
+    if (this.store._data.indexOf(record) >= 0 && this.accepts(record)) {
+      this.include(record)
+    } else {
+      this.exclude(record)
+    }
+  }
+
+  /**
+   * @method destroy
+   * Stop tracking changes to the store. Cursors should be destroyed when
+   * they are no longer used, so they can be garbage collected.
+   */
+  destroy () {
+    Object.keys(this.handlers).forEach(eventName => this.store.off(eventName, this.handlers[eventName]))
+  }
+}
+
+NGN.DATA.Cursor = NgnDataCursor
@@ -0,0 +1,336 @@
+'use strict'
+
+/**
+ * @class NGN.DATA.FieldType
+ * A semantic data field type, such as an email address or an integer.
+ * Field types extend the native types (`String`, `Number`, `Date`, etc)
+ * with their own validation, coercion and serialization.
+ *
+ * Registered field types are referenced by name in the #fields of an
+ * NGN.DATA.Model:
+ *
+ * ```js
+ * let Person = new NGN.DATA.Model({
+ *   fields: {
+ *     email: 'Email',
+ *     age: {
+ *       type: 'Integer',
+ *       min: 0
+ *     },
+ *     salary: {
+ *       type: 'Decimal',
+ *       precision: 2
+ *     },
+ *     born: 'DateTime',
+ *     status: {
+ *       type: 'Enum',
+ *       enum: ['active', 'inactive']
+ *     }
+ *   }
+ * })
+ *
+ * let person = new Person({
+ *   email: 'john@doe.com',
+ *   age: '37', // Coerced to 37
+ *   born: '1980-01-01T00:00:00.000Z' // Coerced to a Date
+ * })
+ * ```
+ *
+ * The following types are available: `Email`, `URL`, `UUID`, `Integer`,
+ * `Decimal` (with an optional `precision`), `DateTime` and `Enum`. Custom
+ * types can be added with #register:
+ *
+ * ```js
+ * NGN.DATA.FieldType.register('Phone', {
+ *   base: String,
+ *   validate: (value) => /^\+?[0-9 ]{7,}$/.test(value),
+ *   coerce: (value) => value.trim(),
+ *   serialize: (value) => value.replace(/\s/g, ''),
+ *   schema: { type: 'string', format: 'phone' }
+ * })
+ * ```
+ */
+class NgnDataFieldType {
+  constructor (config) {
+    config = config || {}
+
+    if (!config.name) {
+      throw new Error('NGN.DATA.FieldType requires a name.')
+    }
+
+    Object.defineProperties(this, {
+      /**
+       * @cfgproperty {string} name
+       * The name of the type.
+       * @readonly
+       */
+      name: NGN.const(config.name),
+
+      /**
+       * @cfgproperty {Function} [base=String]
+       * The native type of the values (i.e. `String`, `Number`, `Boolean`,
+       * `Date`). Set this to `null` to accept any type of value.
+       * @readonly
+       */
+      base: NGN.const(config.base !== undefined ? config.base : String),
+
+      /**
+       * @cfg {Function} [validate]
+       * Determines whether a value is valid. The value and the data field
+       * configuration are passed as arguments. The value is always of
+       * the #base type.
+       */
+      validator: NGN.privateconst(NGN.coalesce(config.validate, () => true)),
+
+      /**
+       * @cfg {Function} [coerce]
+       * Converts a value (usually a string) to a value of the type. The value
+       * and the data field configuration are passed as arguments. Return
+       * `undefined` (or throw an error) if the value cannot be converted.
+       */
+      coercer: NGN.privateconst(NGN.coalesce(config.coerce)),
+
+      /**
+       * @cfg {Function} [serialize]
+       * Converts a value to its JSON representation (see NGN.DATA.Model#data).
+       * The value and the data field configuration are passed as arguments.
+       */
+      serializer: NGN.privateconst(NGN.coalesce(config.serialize)),
+
+      /**
+       * @cfg {Object|Function} [schema]
+       * The JSON Schema of the values (see NGN.DATA.Model#toJSONSchema).
+       * This may be a function, which receives the data field configuration
+       * and returns the schema.
+       */
+      schema: NGN.privateconst(NGN.coalesce(config.schema, {}))
+    })
+  }
+
+  /**
+   * @method validate
+   * Determine whether a value is a valid value of the type.
+   * @param {any} value
+   * The value to validate.
+   * @param {object} [field]
+   * The data field configuration.
+   * @return {boolean}
+   */
+  validate (value, field = {}) {
+    if (this.base !== null && NGN.typeof(value) !== NGN.typeof(this.base)) {
+      return false
+    }
+
+    return !!this.validator(value, field)
+  }
+
+  /**
+   * @method coerce
+   * Convert a value (i.e. a string) to a value of the type. Values that
+   * cannot be converted are returned as-is (they will fail validation if
+   * they are not valid values). `null` and `undefined` are never converted.
+   * @param {any} value
+   * The value to convert.
+   * @param {object} [field]
+   * The data field configuration.
+   * @return {any}
+   */
+  coerce (value, field = {}) {
+    if (value === null || value === undefined || this.coercer === null) {
+      return value
+    }
+
+    try {
+      return NGN.coalesce(this.coercer(value, field), value)
+    } catch (e) {
+      return value
+    }
+  }
+
+  /**
+   * @method serialize
+   * Convert a value to its JSON representation.
+   * @param {any} value
+   * The value to convert.
+   * @param {object} [field]
+   * The data field configuration.
+   * @return {any}
+   */
+  serialize (value, field = {}) {
+    if (value === null || value === undefined || this.serializer === null || !this.validate(value, field)) {
+      return NGN.coalesce(value)
+    }
+
+    return this.serializer(value, field)
+  }
+
+  /**
+   * @method toJSONSchema
+   * Generate the JSON Schema of the type.
+   * @param {object} [field]
+   * The data field configuration.
+   * @return {object}
+   */
+  toJSONSchema (field = {}) {
+    return Object.assign({}, NGN.isFn(this.schema) ? this.schema(field) : this.schema)
+  }
+
+  /**
+   * @method register
+   * Register a field type, making it available to data fields by name.
+   * Registering a name twice replaces the original type.
+   * @param {string} name
+   * The name of the type.
+   * @param {Object|NGN.DATA.FieldType} type
+   * The type or its configuration (see the configuration options of
+   * NGN.DATA.FieldType).
+   * @return {NGN.DATA.FieldType}
+   * @static
+   */
+  static register (name, type) {
+    if (!(type instanceof NgnDataFieldType)) {
+      type = new NgnDataFieldType(Object.assign({}, type, {
+        name: name
+      }))
+    }
+
+    NgnDataFieldType.registry[name] = type
+
+    return type
+  }
+
+  /**
+   * @method get
+   * Retrieve a registered field type.
+   * @param {string} name
+   * The name of the type.
+   * @return {NGN.DATA.FieldType}
+   * The type, or `null` if the type is not registered.
+   * @static
+   */
+  static get (name) {
+    return NGN.coalesce(NgnDataFieldType.registry[name])
+  }
+
+  /**
+   * @property {string[]} types
+   * The names of the registered field types.
+   * @static
+   * @readonly
+   */
+  static get types () {
+    return Object.keys(NgnDataFieldType.registry)
+  }
+}
+
+/**
+ * @property {object} registry
+ * The registered field types, by name.
+ * @static
+ * @private
+ */
+Object.defineProperty(NgnDataFieldType, 'registry', NGN.privateconst({}))
+
+NgnDataFieldType.register('Email', {
+  validate: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  coerce: (value) => typeof value === 'string' ? value.trim() : undefined,
+  schema: {
+    type: 'string',
+    format: 'email'
+  }
+})
+
+NgnDataFieldType.register('URL', {
+  validate: (value) => /^[a-z][a-z0-9+.-]*:\/\/[^\s/?#]+[^\s]*$/i.test(value),
+  coerce: (value) => typeof value === 'string' ? value.trim() : undefined,
+  schema: {
+    type: 'string',
+    format: 'uri'
+  }
+})
+
+NgnDataFieldType.register('UUID', {
+  validate: (value) => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value),
+  coerce: (value) => typeof value === 'string' ? value.trim().toLowerCase() : undefined,
+  serialize: (value) => value.toLowerCase(),
+  schema: {
+    type: 'string',
+    format: 'uuid'
+  }
+})
+
+NgnDataFieldType.register('Integer', {
+  base: Number,
+  validate: (value) => Number.isInteger(value),
+  coerce: (value) => typeof value === 'string' && /^\s*[-+]?\d+\s*$/.test(value) ? parseInt(value, 10) : undefined,
+  schema: {
+    type: 'integer'
+  }
+})
+
+// Round half away from zero by shifting the decimal exponent, which avoids
+// the binary representation errors of toFixed (i.e. 1.005 => 1.01, not 1).
+const roundDecimal = (value, precision) => {
+  const shift = (number, exponent) => {
+    let parts = String(number).split('e')
+
+    return Number(parts[0] + 'e' + (Number(NGN.coalesce(parts[1], 0)) + exponent))
+  }
+
+  return Math.sign(value) * shift(Math.round(shift(Math.abs(value), precision)), -precision)
+}
+
+NgnDataFieldType.register('Decimal', {
+  base: Number,
+  validate: (value, field) => isFinite(value) && (field.precision === undefined || roundDecimal(value, field.precision) === value),
+  // Numbers and numeric strings are rounded to the precision of the field.
+  coerce: (value, field) => {
+    if (typeof value === 'string' && /^\s*[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?\s*$/.test(value)) {
+      value = parseFloat(value)
+    } else if (typeof value !== 'number' || !isFinite(value)) {
+      return undefined
+    }
+
+    return field.precision === undefined ? value : roundDecimal(value, field.precision)
+  },
+  schema: (field) => {
+    let schema = {
+      type: 'number'
+    }
+
+    if (field.precision !== undefined) {
+      schema.multipleOf = Number(Math.pow(10, -field.precision).toFixed(field.precision))
+    }
+
+    return schema
+  }
+})
+
+NgnDataFieldType.register('DateTime', {
+  base: Date,
+  validate: (value) => !isNaN(value.getTime()),
+  // ISO 8601 dates (i.e. 2017-01-19 or 2017-01-19T16:43:03.279Z)
+  coerce: (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/.test(value.trim()) ? new Date(value.trim()) : undefined,
+  serialize: (value) => value.toJSON(),
+  schema: {
+    type: 'string',
+    format: 'date-time'
+  }
+})
+
+// Enumerated values are validated by the `enum` rule of the data field.
+NgnDataFieldType.register('Enum', {
+  base: null,
+  validate: (value, field) => Array.isArray(field.enum),
+  coerce: (value, field) => {
+    if (typeof value !== 'string') {
+      return undefined
+    }
+
+    let match = NGN.coalesce(field.enum, []).filter(item => String(item).toLowerCase() === value.trim().toLowerCase())
+
+    return match.length > 0 ? match[0] : undefined
+  }
+})
+
+NGN.DATA.FieldType = NgnDataFieldType
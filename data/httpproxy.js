@@ -5,6 +5,68 @@
  * Provides a gateway to remote services such as HTTP and
  * websocket endpoints. This can be used directly to create
  * custom proxies.
+ *
+ * The HTTP proxy treats the #url as a REST collection endpoint. When
+ * the proxy is attached to an NGN.DATA.Store, records are managed using
+ * the following requests:
+ *
+ * ```
+ * GET    <url>       // Fetch all records (expects a JSON array)
+ * POST   <url>       // Create a record
+ * PUT    <url>/<id>  // Update a record
+ * DELETE <url>/<id>  // Delete a record
+ * ```
+ *
+ * With live sync enabled (see #enableLiveSync), the same requests are made
+ * as soon as records are created, modified or removed. Clearing the store
+ * does not remove the remote records.
+ *
+ * When the proxy is attached to an NGN.DATA.Model, the #url represents
+ * the model itself. Fetching issues a `GET <url>`, while saving issues a
+ * `POST <url>` for new models and `PUT <url>` for existing models.
+ *
+ * The proxy members are not copied to the store/model. The configuration
+ * is available through the proxy (i.e. `People.proxy.url`), and the
+ * `fetch`/`save` methods of the store/model delegate to the proxy.
+ *
+ * ```js
+ * let People = new NGN.DATA.Store({
+ *   model: Person,
+ *   proxy: new NGN.DATA.HttpProxy({
+ *     url: 'http://localhost:3000/people',
+ *     token: 'mytoken'
+ *   })
+ * })
+ *
+ * People.proxy.fetch()
+ *   .then(() => {
+ *     People.add({ name: 'John Doe' })
+ *     return People.proxy.save()
+ *   })
+ *   .then(() => console.log('Saved!'))
+ *   .catch((err) => console.error(err.message))
+ * ```
+ * @fires fetch
+ * Triggered when data has been retrieved from the remote endpoint and
+ * loaded into the store/model. The store (or model) is passed as an
+ * argument to handlers.
+ * @fires fetch.failed
+ * Triggered when data could not be retrieved. The HttpRequestError is
+ * passed as an argument to handlers.
+ * @fires save
+ * Triggered when all changes have been persisted to the remote endpoint.
+ * @fires save.failed
+ * Triggered when one or more changes could not be persisted. An array of
+ * HttpRequestError objects is passed as an argument to handlers.
+ * @fires live.create.failed
+ * Triggered when live sync fails to persist a new record. The
+ * HttpRequestError and the record are passed as arguments to handlers.
+ * @fires live.update.failed
+ * Triggered when live sync fails to persist a record modification. The
+ * HttpRequestError and the record are passed as arguments to handlers.
+ * @fires live.delete.failed
+ * Triggered when live sync fails to remove a record. The HttpRequestError
+ * and the record are passed as arguments to handlers.
  */
 class NgnHttpProxy extends NGN.DATA.Proxy {
   constructor (config) {
@@ -38,15 +100,432 @@ class NgnHttpProxy extends NGN.DATA.Proxy {
        * are ignored). This sets an `Authorization: Bearer <token>`
        * HTTP header.
        */
-      token: NGN.public(config.token || null)
+      token: NGN.public(config.token || null),
+
+      /**
+       * @config {Object} headers
+       * Custom HTTP headers applied to every request made by the proxy.
+       */
+      headers: NGN.public(config.headers || {})
     })
   }
 
-  init (store) {
-    super.init(store)
-    NGN.inherit(this, store)
+  /**
+   * @property {string} authorization
+   * The value of the `Authorization` HTTP header, based on the #token or
+   * #username/#password. Returns `null` if no credentials are configured.
+   * @private
+   */
+  get authorization () {
+    if (this.token !== null) {
+      return 'Bearer ' + this.token
+    }
+
+    if (this.username !== null && this.password !== null) {
+      let credentials = this.username + ':' + this.password
+
+      if (NGN.nodelike) {
+        return 'Basic ' + Buffer.from(credentials).toString('base64')
+      }
+
+      return 'Basic ' + btoa(credentials)
+    }
+
+    return null
+  }
+
+  /**
+   * @method getRecordUrl
+   * Generates the URL of a specific record. By default, this is
+   * `<url>/<id>`. Override this method to support alternative
+   * URL structures.
+   * @param {NGN.DATA.Model} record
+   * The record whose URL should be generated.
+   * @return {string}
+   */
+  getRecordUrl (record) {
+    return this.url.replace(/\/+$/, '') + '/' + encodeURIComponent(record.id)
   }
+
+  /**
+   * @method request
+   * Make an HTTP request using the proxy configuration (authorization
+   * and custom headers). Request and response bodies are JSON.
+   * @param {string} method
+   * The HTTP method (`GET`, `POST`, `PUT`, `DELETE`, etc).
+   * @param {string} url
+   * The fully qualified URL.
+   * @param {Object} [body]
+   * The data to send as the request body.
+   * @param {Function} callback
+   * Executed when the request completes. This receives an error
+   * (HttpRequestError, or `null` when the request succeeds) and
+   * the parsed response body.
+   * @private
+   */
+  request (method, url, body, callback) {
+    if (NGN.isFn(body)) {
+      callback = body
+      body = null
+    }
+
+    let headers = {
+      Accept: 'application/json'
+    }
+
+    Object.keys(this.headers).forEach((header) => {
+      headers[header] = this.headers[header]
+    })
+
+    if (this.authorization !== null) {
+      headers.Authorization = this.authorization
+    }
+
+    if (body !== undefined && body !== null) {
+      body = JSON.stringify(body)
+      headers['Content-Type'] = 'application/json'
+    } else {
+      body = null
+    }
+
+    const respond = (status, content) => {
+      let data = null
+
+      if (content && content.trim().length > 0) {
+        try {
+          data = JSON.parse(content)
+        } catch (e) {
+          data = content
+        }
+      }
+
+      if (status < 200 || status >= 300) {
+        let err = new HttpRequestError(`${method} ${url} failed with status ${status}.`)
+
+        err.status = status
+        err.response = data
+
+        return callback(err, data)
+      }
+
+      callback(null, data)
+    }
+
+    const fail = (message) => {
+      let err = new HttpRequestError(`${method} ${url} failed (${message}).`)
+
+      err.status = 0
+      err.response = null
+
+      callback(err, null)
+    }
+
+    if (NGN.nodelike) {
+      const uri = require('url').parse(url)
+      const client = require(uri.protocol === 'https:' ? 'https' : 'http')
+
+      if (body !== null) {
+        headers['Content-Length'] = Buffer.byteLength(body)
+      }
+
+      let req = client.request({
+        method: method,
+        protocol: uri.protocol,
+        hostname: uri.hostname,
+        port: uri.port,
+        path: uri.path,
+        headers: headers
+      }, (res) => {
+        let content = ''
+
+        res.setEncoding('utf8')
+        res.on('data', (chunk) => {
+          content += chunk
+        })
+        res.on('end', () => respond(res.statusCode, content))
+      })
+
+      req.on('error', (e) => fail(e.message))
+
+      if (body !== null) {
+        req.write(body)
+      }
+
+      req.end()
+    } else {
+      let xhr = new XMLHttpRequest()
+
+      xhr.open(method, url, true)
+
+      Object.keys(headers).forEach((header) => {
+        xhr.setRequestHeader(header, headers[header])
+      })
+
+      xhr.onload = () => respond(xhr.status, xhr.responseText)
+      xhr.onerror = () => fail('network error')
+
+      xhr.send(body)
+    }
+  }
+
+  /**
+   * @method putRecord
+   * Update a record using a `PUT` request. When NGN.DATA.Proxy#conflictResolution
+   * is configured, the remote version of the record is retrieved and
+   * reconciled first (see NGN.DATA.Proxy#reconcile).
+   * @param {string} url
+   * The URL of the record.
+   * @param {NGN.DATA.Model} record
+   * The record to update.
+   * @param {Function} callback
+   * Receives an error (or `null`).
+   * @private
+   */
+  putRecord (url, record, callback) {
+    const put = () => this.request('PUT', url, record.data, callback)
+
+    if (this.conflictResolution === null) {
+      return put()
+    }
+
+    this.request('GET', url, (err, remote) => {
+      if (err) {
+        return err.status === 404 ? put() : callback(err)
+      }
+
+      let save
+
+      // Custom conflict resolution functions may throw.
+      try {
+        save = this.reconcile(record, remote)
+      } catch (e) {
+        return callback(e)
+      }
+
+      save ? put() : callback(null)
+    })
+  }
+
+  /**
+   * @method fetch
+   * Retrieve data from the remote endpoint and load it into the
+   * store/model. Store data is replaced (see NGN.DATA.Store#reload).
+   * @param {Function} [callback]
+   * Executed when the fetch is complete. This receives an error
+   * (or `null`) and the store records (or model).
+   * @return {Promise}
+   * Resolves with the store records (or model). Rejects with an
+   * HttpRequestError.
+   * @fires fetch
+   * @fires fetch.failed
+   */
+  fetch (callback) {
+    return this.defer(callback, (resolve, reject) => {
+      this.request('GET', this.url, (err, data) => {
+        if (err) {
+          this.emit('fetch.failed', err)
+          return reject(err)
+        }
+
+        this.loadData(data)
+
+        this.emit('fetch', this.store)
+
+        resolve(this.type === 'store' ? this.store.records : this.store)
+      })
+    })
+  }
+
+  /**
+   * @method save
+   * Persist the #changelog to the remote endpoint. New records are
+   * created using `POST`, modified records are updated using `PUT`,
+   * and removed records are deleted using `DELETE`. Changes that are
+   * successfully persisted are removed from the changelog. Changes that
+   * fail remain in the changelog, so they can be retried.
+   *
+   * When the proxy is attached to a model, the model is sent to
+   * the #url (`POST` when new, `PUT` otherwise).
+   * @param {Function} [callback]
+   * Executed when the save is complete. This receives an error
+   * (or `null` if every change succeeded) and an array of the records
+   * that were persisted.
+   * @return {Promise}
+   * Resolves with an array of the records that were persisted. Rejects
+   * with a DataProxyError when one or more changes fail. The `errors`
+   * attribute of the DataProxyError contains each HttpRequestError.
+   * @fires save
+   * @fires save.failed
+   */
+  save (callback) {
+    return this.defer(callback, (resolve, reject) => {
+      let errors = []
+      let persisted = []
+      let tasks = new NGN.Tasks()
+
+      const done = (record, next) => {
+        return (err) => {
+          if (err) {
+            errors.push(err)
+          } else {
+            this.setPersisted(record)
+            persisted.push(record)
+          }
+
+          next()
+        }
+      }
+
+      if (this.type === 'model') {
+        const model = this.store
+
+        tasks.add('Save model', (next) => {
+          if (model.isNew) {
+            return this.request('POST', this.url, model.data, done(model, next))
+          }
+
+          this.putRecord(this.url, model, done(model, next))
+        })
+      } else {
+        const changes = this.changelog
+
+        changes.create.forEach((record) => {
+          tasks.add((next) => {
+            this.request('POST', this.url, record.data, (err, data) => {
+              // Apply server-generated ID's
+              if (!err && data !== null && typeof data === 'object' && data.hasOwnProperty(record.idAttribute) && record.id === null) {
+                record.setSilent(record.idAttribute, data[record.idAttribute])
+              }
+
+              done(record, next)(err)
+            })
+          })
+        })
+
+        changes.update.forEach((record) => {
+          tasks.add((next) => {
+            this.putRecord(this.getRecordUrl(record), record, done(record, next))
+          })
+        })
+
+        changes.delete.forEach((record) => {
+          tasks.add((next) => {
+            this.request('DELETE', this.getRecordUrl(record), done(record, next))
+          })
+        })
+      }
+
+      tasks.on('complete', () => {
+        if (errors.length > 0) {
+          this.emit('save.failed', errors)
+
+          let err = new DataProxyError(`${errors.length} of ${errors.length + persisted.length} change(s) could not be saved.`)
+          err.errors = errors
+
+          return reject(err)
+        }
+
+        this.emit('save')
+
+        resolve(persisted)
+      })
+
+      tasks.process()
+    })
+  }
+
+  /**
+   * @method liveRequest
+   * Make a live sync request. A `live.<action>` event is triggered when
+   * the request succeeds, and a `live.<action>.failed` event is triggered
+   * when it fails.
+   * @param {string} action
+   * The live sync action (`create`, `update`, or `delete`).
+   * @param {string} method
+   * The HTTP method.
+   * @param {string} url
+   * The fully qualified URL.
+   * @param {NGN.DATA.Model} [record]
+   * The record being synchronized.
+   * @param {Function} [callback]
+   * Executed (before the event is triggered) when the request succeeds.
+   * The parsed response body is passed as the only argument.
+   * @private
+   */
+  liveRequest (action, method, url, record, callback) {
+    let body = method === 'DELETE' || !record ? null : record.data
+
+    this.request(method, url, body, (err, data) => {
+      if (err) {
+        return this.emit(`live.${action}.failed`, err, record)
+      }
+
+      NGN.isFn(callback) && callback(data)
+
+      this.emit(`live.${action}`, record)
+    })
+  }
+
+  /**
+   * @method syncModel
+   * Persist the entire model to the #url. New models are created
+   * (`POST`), while existing models are updated (`PUT`).
+   * @private
+   */
+  syncModel () {
+    const model = this.store
+    const action = model.isNew ? 'create' : 'update'
+
+    this.liveRequest(action, model.isNew ? 'POST' : 'PUT', this.url, model, () => this.setPersisted(model))
+  }
+
+  createModelRecord () {
+    this.syncModel()
+  }
+
+  updateModelRecord () {
+    this.syncModel()
+  }
+
+  deleteModelRecord () {
+    this.syncModel()
+  }
+
+  createStoreRecord (record) {
+    this.liveRequest('create', 'POST', this.url, record, (data) => {
+      // Apply server-generated ID's
+      if (data !== null && typeof data === 'object' && data.hasOwnProperty(record.idAttribute) && record.id === null) {
+        record.setSilent(record.idAttribute, data[record.idAttribute])
+      }
+
+      this.setPersisted(record)
+    })
+  }
+
+  updateStoreRecord (record) {
+    this.liveRequest('update', 'PUT', this.getRecordUrl(record), record, () => this.setPersisted(record))
+  }
+
+  deleteStoreRecord (record) {
+    this.liveRequest('delete', 'DELETE', this.getRecordUrl(record), record, () => this.setPersisted(record))
+  }
+
+  /**
+   * @method clearStoreRecords
+   * Clearing the store is not synchronized. NGN.DATA.Store#reload clears
+   * the store before loading fresh data, which must not remove the remote
+   * collection. Remove records individually (NGN.DATA.Store#remove) to
+   * delete them from the #url.
+   * @private
+   */
+  clearStoreRecords () {}
 }
 
+NGN.createException({
+  name: 'HttpRequestError',
+  type: 'HttpRequestError',
+  message: 'An HTTP request made by a data proxy failed.'
+})
+
 NGN.DATA.HttpProxy = NgnHttpProxy
 // Object.defineProperty(NGN.DATA, 'HttpProxy', NGN.const(NgnHttpProxy))
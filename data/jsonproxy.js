@@ -0,0 +1,446 @@
+'use strict'
+
+/**
+ * @class NGN.DATA.JsonProxy
+ * Persists data as a JSON document. In node-like environments, the
+ * document is written to a local file (see #file). When no file is
+ * specified, the document is kept in an in-memory map, which is useful
+ * for testing and prototyping.
+ *
+ * This is the reference proxy implementation. It provides #fetch, #save
+ * and live synchronization (see NGN.DATA.Proxy#enableLiveSync) for
+ * stores and models.
+ *
+ * When the proxy is attached to an NGN.DATA.Store, the document is an
+ * array of record data objects. Records are identified by their
+ * NGN.DATA.Model#idAttribute. New records without an ID are assigned a
+ * unique ID when they are persisted. When the proxy is attached to an
+ * NGN.DATA.Model, the document is the model data.
+ *
+ * ```js
+ * let People = new NGN.DATA.Store({
+ *   model: Person,
+ *   proxy: new NGN.DATA.JsonProxy({
+ *     file: './people.json'
+ *   })
+ * })
+ *
+ * People.proxy.fetch().then(() => {
+ *   People.add({ name: 'John Doe' })
+ *   return People.proxy.save()
+ * })
+ * ```
+ * @fires fetch
+ * Triggered when the document has been loaded into the store/model.
+ * The store (or model) is passed as an argument to handlers.
+ * @fires fetch.failed
+ * Triggered when the document could not be read. The error is passed
+ * as an argument to handlers.
+ * @fires save
+ * Triggered when the #changelog has been written to the document.
+ * @fires save.failed
+ * Triggered when the #changelog could not be written to the document.
+ * The error is passed as an argument to handlers.
+ * @fires live.create.failed
+ * Triggered when live sync fails to persist a new record. The
+ * error and the record are passed as arguments to handlers.
+ * @fires live.update.failed
+ * Triggered when live sync fails to persist a record modification. The
+ * error and the record are passed as arguments to handlers.
+ * @fires live.delete.failed
+ * Triggered when live sync fails to remove a record. The error and the
+ * record are passed as arguments to handlers.
+ */
+class NgnJsonProxy extends NGN.DATA.Proxy {
+  constructor (config) {
+    config = config || {}
+
+    super(config)
+
+    Object.defineProperties(this, {
+      /**
+       * @cfgproperty {string} [file]
+       * The path of the JSON file where data is persisted. This is only
+       * available in node-like environments. If this is not specified,
+       * data is persisted in memory.
+       */
+      file: NGN.privateconst(NGN.coalesce(config.file)),
+
+      /**
+       * @cfgproperty {string} [key]
+       * The key of the in-memory document. Proxies using the same key
+       * share the same data. This defaults to the proxy #id, and it is
+       * ignored when a #file is specified.
+       */
+      key: NGN.privateconst(NGN.coalesce(config.key, this.id)),
+
+      /**
+       * @cfg {number} [indent=2]
+       * The number of spaces used to indent the JSON file.
+       */
+      indent: NGN.privateconst(NGN.coalesce(config.indent, 2)),
+
+      // Pending document operations (processed one at a time).
+      operations: NGN.private([]),
+      processing: NGN.private(false)
+    })
+
+    if (this.file !== null && !NGN.nodelike) {
+      throw new Error('NGN.DATA.JsonProxy can only persist to a file in node-like environments.')
+    }
+  }
+
+  /**
+   * @method read
+   * Read the JSON document.
+   * @param {Function} callback
+   * Receives an error (or `null`) and the parsed document. A document
+   * that does not exist yet is returned as `null`.
+   * @private
+   */
+  read (callback) {
+    const parse = (content) => {
+      if (content === undefined || content === null || content.trim().length === 0) {
+        return callback(null, null)
+      }
+
+      let data
+
+      try {
+        data = JSON.parse(content)
+      } catch (e) {
+        return callback(e)
+      }
+
+      callback(null, data)
+    }
+
+    if (this.file === null) {
+      return setTimeout(() => parse(NgnJsonProxy.memory[this.key]), 0)
+    }
+
+    require('fs').readFile(this.file, 'utf8', (err, content) => {
+      if (err) {
+        return err.code === 'ENOENT' ? callback(null, null) : callback(err)
+      }
+
+      parse(content)
+    })
+  }
+
+  /**
+   * @method write
+   * Write the JSON document.
+   * @param {Array|Object} data
+   * The document.
+   * @param {Function} callback
+   * Receives an error (or `null`).
+   * @private
+   */
+  write (data, callback) {
+    const content = JSON.stringify(data, null, this.indent)
+
+    if (this.file === null) {
+      NgnJsonProxy.memory[this.key] = content
+      return setTimeout(() => callback(null), 0)
+    }
+
+    require('fs').writeFile(this.file, content, 'utf8', callback)
+  }
+
+  /**
+   * @method modify
+   * Apply changes to the JSON document. Modifications are queued and
+   * applied one at a time, so concurrent changes (such as live sync
+   * updates) do not overwrite each other.
+   * @param {Function} modifier
+   * Receives the current document and returns the modified document.
+   * @param {Function} callback
+   * Receives an error (or `null`).
+   * @private
+   */
+  modify (modifier, callback) {
+    this.operations.push({
+      modifier: modifier,
+      callback: callback
+    })
+
+    if (this.processing) {
+      return
+    }
+
+    const next = () => {
+      if (this.operations.length === 0) {
+        this.processing = false
+        return
+      }
+
+      this.processing = true
+
+      const operation = this.operations.shift()
+      const done = (err) => {
+        NGN.isFn(operation.callback) && operation.callback(NGN.coalesce(err))
+        next()
+      }
+
+      this.read((err, data) => {
+        if (err) {
+          return done(err)
+        }
+
+        let result
+
+        try {
+          result = operation.modifier(data)
+        } catch (e) {
+          return done(e)
+        }
+
+        this.write(result, done)
+      })
+    }
+
+    next()
+  }
+
+  /**
+   * @method serializeRecord
+   * Generate the document representation of a record. Records without
+   * an ID are assigned a unique ID.
+   * @param {NGN.DATA.Model} record
+   * The record to serialize.
+   * @return {Object}
+   * @private
+   */
+  serializeRecord (record) {
+    if (record.id === null || record.id === undefined) {
+      record.setSilent(record.idAttribute, NGN.DATA.util.GUID())
+    }
+
+    let data = record.data
+    data[record.idAttribute] = NGN.coalesce(data[record.idAttribute], record.id)
+
+    return data
+  }
+
+  /**
+   * @method locate
+   * Find the position of a record within a store document.
+   * @param {Array} doc
+   * The store document.
+   * @param {NGN.DATA.Model} record
+   * The record to find.
+   * @return {number}
+   * Returns `-1` if the record is not in the document.
+   * @private
+   */
+  locate (doc, record) {
+    if (!Array.isArray(doc)) {
+      return -1
+    }
+
+    return doc.findIndex((item) => {
+      return item !== null && typeof item === 'object' && item[record.idAttribute] === record.id
+    })
+  }
+
+  /**
+   * @method applyChanges
+   * Apply record changes to a store document.
+   * @param {Array} doc
+   * The store document.
+   * @param {Object} changes
+   * An object with `create`, `update` and `delete` arrays (see #changelog).
+   * @return {Array}
+   * The modified document.
+   * @private
+   */
+  applyChanges (doc, changes) {
+    doc = Array.isArray(doc) ? doc : []
+
+    NGN.coalesce(changes.delete, []).forEach((record) => {
+      let i = this.locate(doc, record)
+      i >= 0 && doc.splice(i, 1)
+    })
+
+    NGN.coalesce(changes.update, []).concat(NGN.coalesce(changes.create, [])).forEach((record) => {
+      let data = this.serializeRecord(record)
+      let i = this.locate(doc, record)
+
+      if (i >= 0) {
+        doc[i] = data
+      } else {
+        doc.push(data)
+      }
+    })
+
+    return doc
+  }
+
+  /**
+   * @method fetch
+   * Load the JSON document into the store (replacing existing records)
+   * or model.
+   * @param {Function} [callback]
+   * Executed when the fetch is complete. This receives an error
+   * (or `null`) and the store records (or model).
+   * @return {Promise}
+   * Resolves with the store records (or model). Rejects with a
+   * DataProxyError (see #failure).
+   * @fires fetch
+   * @fires fetch.failed
+   */
+  fetch (callback) {
+    return this.defer(callback, (resolve, reject) => {
+      this.read((err, data) => {
+        if (err) {
+          this.emit('fetch.failed', err)
+          return reject(this.failure('fetch', err))
+        }
+
+        this.loadData(data)
+
+        this.emit('fetch', this.store)
+
+        resolve(this.type === 'store' ? this.store.records : this.store)
+      })
+    })
+  }
+
+  /**
+   * @method save
+   * Write the #changelog to the JSON document. When the proxy is attached
+   * to a model, the model data replaces the document.
+   * @param {Function} [callback]
+   * Executed when the save is complete. This receives an error (or `null`)
+   * and an array of the records that were persisted.
+   * @return {Promise}
+   * Resolves with an array of the records that were persisted. Rejects
+   * with a DataProxyError (see #failure).
+   * @fires save
+   * @fires save.failed
+   */
+  save (callback) {
+    return this.defer(callback, (resolve, reject) => {
+      let records = [this.store]
+      let changes = null
+
+      if (this.type === 'store') {
+        // Copy the changelog, since it changes as records are persisted.
+        changes = this.changelog
+        changes = {
+          create: changes.create.slice(0),
+          update: changes.update,
+          delete: changes.delete.slice(0)
+        }
+
+        records = changes.create.concat(changes.update).concat(changes.delete)
+      }
+
+      this.modify((doc) => {
+        if (changes === null) {
+          return this.reconcile(this.store, doc) ? this.store.data : doc
+        }
+
+        // Records that keep the remote version are not written.
+        changes.update = changes.update.filter((record) => {
+          let i = this.locate(doc, record)
+          return this.reconcile(record, i >= 0 ? doc[i] : null)
+        })
+
+        return this.applyChanges(doc, changes)
+      }, (err) => {
+        if (err) {
+          this.emit('save.failed', err)
+          return reject(this.failure('save', err))
+        }
+
+        records.forEach((record) => this.setPersisted(record))
+
+        this.emit('save')
+
+        resolve(records)
+      })
+    })
+  }
+
+  /**
+   * @method failure
+   * Generates the DataProxyError used to reject a #fetch or #save.
+   * The original error is available in the `errors` attribute.
+   * @param {string} operation
+   * The operation that failed.
+   * @param {Error} error
+   * The original error.
+   * @return {DataProxyError}
+   * @private
+   */
+  failure (operation, error) {
+    let err = new DataProxyError(`JSON ${operation} failed (${error.message}).`)
+    err.errors = [error]
+
+    return err
+  }
+
+  /**
+   * @method sync
+   * Apply a live sync modification and trigger the corresponding
+   * `live.<action>` or `live.<action>.failed` event.
+   * @param {string} action
+   * The live sync action (`create`, `update`, or `delete`).
+   * @param {NGN.DATA.Model} record
+   * The record being synchronized.
+   * @param {Function} modifier
+   * Receives the current document and returns the modified document.
+   * @private
+   */
+  sync (action, record, modifier) {
+    this.modify(modifier, (err) => {
+      if (err) {
+        return this.emit(`live.${action}.failed`, err, record)
+      }
+
+      record && this.setPersisted(record)
+
+      this.emit(`live.${action}`, record)
+    })
+  }
+
+  createModelRecord () {
+    this.sync(this.store.isNew ? 'create' : 'update', this.store, () => this.store.data)
+  }
+
+  updateModelRecord () {
+    this.sync(this.store.isNew ? 'create' : 'update', this.store, () => this.store.data)
+  }
+
+  deleteModelRecord () {
+    this.sync('update', this.store, () => this.store.data)
+  }
+
+  createStoreRecord (record) {
+    this.sync('create', record, (doc) => this.applyChanges(doc, { create: [record] }))
+  }
+
+  updateStoreRecord (record) {
+    this.sync('update', record, (doc) => this.applyChanges(doc, { update: [record] }))
+  }
+
+  deleteStoreRecord (record) {
+    this.sync('delete', record, (doc) => this.applyChanges(doc, { delete: [record] }))
+  }
+
+  clearStoreRecords () {
+    this.sync('delete', null, () => [])
+  }
+}
+
+/**
+ * @property {Object} memory
+ * The in-memory documents, keyed by NGN.DATA.JsonProxy#key.
+ * @static
+ * @private
+ */
+Object.defineProperty(NgnJsonProxy, 'memory', NGN.privateconst({}))
+
+NGN.DATA.JsonProxy = NgnJsonProxy
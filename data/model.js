@@ -13,6 +13,8 @@
  * Fired when a datafield is deleted.
  * @fires field.invalid
  * Fired when an invalid value is detected in an data field.
+ * @fires record.invalid
+ * Fired when a model-level validation rule fails (see #rules).
  */
 
 class NgnDataModel extends NGN.EventEmitter {
@@ -41,9 +43,13 @@ class NgnDataModel extends NGN.EventEmitter {
        *     type: String,
        *     default: 'default field value'
        *   },
-       *   fieldname2: null // Uses default field config (default value is null)
+       *   fieldname2: null, // Uses default field config (default value is null)
+       *   fieldname3: 'Email' // A semantic type (see NGN.DATA.FieldType)
        * }
        * ```
+       *
+       * Defining a model (NGN.DATA.Model) throws an error when a field
+       * references a semantic type that is not registered.
        */
       /**
        * @datafield {string} [id=null]
@@ -135,12 +141,82 @@ class NgnDataModel extends NGN.EventEmitter {
        */
       validators: NGN.private({}),
 
+      /**
+       * @cfg {Object} rules
+       * Model-level validation rules. Rules receive the whole record, so they
+       * can validate several fields together. Each rule is a function returning
+       * `true` when the record is valid, or an object with the following
+       * attributes:
+       *
+       * - `validate` (function): The validation function.
+       * - `fields` (array): The data fields involved in the rule. These fields
+       *   are flagged as invalid when the rule fails. By default, the name of
+       *   the rule is flagged instead.
+       * - `message` (string): The message template (see #validate). The
+       *   `{rule}` and `{fields}` placeholders are supported.
+       *
+       * ```js
+       * let Event = new NGN.DATA.Model({
+       *   fields: {
+       *     startDate: Date,
+       *     endDate: Date,
+       *     email: {type: String, required: false},
+       *     phone: {type: String, required: false}
+       *   },
+       *   rules: {
+       *     chronological: {
+       *       fields: ['endDate'],
+       *       message: 'The end date must be after the start date.',
+       *       validate: function (record) {
+       *         return record.endDate > record.startDate
+       *       }
+       *     },
+       *     contact: function () {
+       *       return this.email !== null || this.phone !== null
+       *     }
+       *   }
+       * })
+       * ```
+       *
+       * Rules are applied after the field validators, and they are part of
+       * the #valid status and validation reports (see #validate). The
+       * `record.invalid` event is triggered when a rule fails, and the
+       * `record.valid` event is triggered when it is satisfied again.
+       */
+      rules: NGN.privateconst(Object.keys(NGN.coalesce(config.rules, {})).reduce((rules, name) => {
+        let rule = config.rules[name]
+
+        rules[name] = {
+          validate: NGN.isFn(rule) ? rule : rule.validate,
+          fields: NGN.coalesce(rule.fields, []),
+          message: NGN.coalesce(rule.message)
+        }
+
+        if (!NGN.isFn(rules[name].validate)) {
+          throw new Error(`Invalid model validation rule (${name}). A validation function is required.`)
+        }
+
+        return rules
+      }, {})),
+
+      // The latest result of each rule (see #validateRules)
+      ruleResults: NGN.private({}),
+
       /**
        * @cfgproperty {boolean} [validation=true]
        * Toggle data validation using this.
        */
       validation: NGN.public(NGN.coalesce(config.validation, true)),
 
+      /**
+       * @cfg {string} [jsonSchemaName]
+       * The name of the model in the `definitions` of a JSON Schema, when
+       * the model is related to another model (see #toJSONSchema). By
+       * default, the name of the relationship is used. Models created by
+       * #fromJSONSchema keep the name of their definition.
+       */
+      jsonSchemaName: NGN.privateconst(NGN.coalesce(config.jsonSchemaName)),
+
       /**
        * @property {Boolean}
        * Indicates the model is new or does not exist according to the persistence store.
@@ -278,7 +354,7 @@ class NgnDataModel extends NGN.EventEmitter {
           }
 
           if (NGN.typeof(value) === 'date') {
-            return value.parse() >= minimum.parse()
+            return value.getTime() >= (new Date(minimum)).getTime()
           }
 
           return false
@@ -298,7 +374,7 @@ class NgnDataModel extends NGN.EventEmitter {
           }
 
           if (NGN.typeof(value) === 'date') {
-            return value.parse() <= maximum.parse()
+            return value.getTime() <= (new Date(maximum)).getTime()
           }
 
           return false
@@ -306,10 +382,6 @@ class NgnDataModel extends NGN.EventEmitter {
 
         enum: function (valid, value) {
           return valid.indexOf(value) >= 0
-        },
-
-        required: (field, value) => {
-          return this.hasOwnProperty(field) && this[value] !== null
         }
       }),
 
@@ -483,6 +555,7 @@ class NgnDataModel extends NGN.EventEmitter {
       'field.create',
       'field.remove',
       'field.invalid',
+      'record.invalid',
       'validator.add',
       'validator.remove',
       'relationship.create',
@@ -533,6 +606,50 @@ class NgnDataModel extends NGN.EventEmitter {
     }
   }
 
+  /**
+   * @method fetch
+   * Retrieve the model data using the #proxy (see NGN.DATA.Proxy#fetch).
+   * @param {Function} [callback]
+   * Executed when the fetch is complete. This receives an error
+   * (or `null`) and the model.
+   * @return {Promise}
+   * Resolves with the model.
+   * Rejects with a DataProxyError if no #proxy is configured.
+   */
+  fetch (callback) {
+    if (this.proxy === null) {
+      let promise = Promise.reject(new DataProxyError('Cannot fetch. No proxy is configured for the model.'))
+
+      NGN.isFn(callback) && promise.catch(callback)
+
+      return promise
+    }
+
+    return this.proxy.fetch(callback)
+  }
+
+  /**
+   * @method save
+   * Persist the model using the #proxy (see NGN.DATA.Proxy#save).
+   * @param {Function} [callback]
+   * Executed when the save is complete. This receives an error
+   * (or `null`) and an array of the records that were persisted.
+   * @return {Promise}
+   * Resolves with an array of the records that were persisted.
+   * Rejects with a DataProxyError if no #proxy is configured.
+   */
+  save (callback) {
+    if (this.proxy === null) {
+      let promise = Promise.reject(new DataProxyError('Cannot save. No proxy is configured for the model.'))
+
+      NGN.isFn(callback) && promise.catch(callback)
+
+      return promise
+    }
+
+    return this.proxy.save(callback)
+  }
+
   get deleted () {
     return this.isRecordDestroyed
   }
@@ -684,8 +801,7 @@ class NgnDataModel extends NGN.EventEmitter {
    * Indicates the record is valid.
    */
   get valid () {
-    this.validate()
-    return this.invalidDataAttributes.length === 0
+    return this.getValidationReport().valid
   }
 
   /**
@@ -883,6 +999,8 @@ class NgnDataModel extends NGN.EventEmitter {
     * `true` when the data is valid and `false` when it is not.
     *
     * * When this is a _function_, the value is passed to it as an argument.
+    * The function may return a Promise (resolving with `true` or `false`)
+    * to validate the value asynchronously (see #validateAsync).
     * * When this is a _String_, the value is compared for an exact match (case sensitive)
     * * When this is a _Number_, the value is compared for equality.
     * * When this is a _Date_, the value is compared for exact equality.
@@ -899,23 +1017,17 @@ class NgnDataModel extends NGN.EventEmitter {
 
     switch (typeof validator) {
       case 'function':
-        this.validators[property] = this.validators[property] || []
-        this.validators[property].push(validator)
-        this.emit('validator.add', property)
+        this.addRule(property, 'custom', null, validator)
         break
       case 'object':
         if (Array.isArray(validator)) {
-          this.validators[property] = this.validators[property] || []
-          this.validators[property].push(function (value) {
+          this.addRule(property, 'enum', validator, function (value) {
             return validator.indexOf(value) >= 0
           })
-          this.emit('validator.add', property)
         } else if (validator.test) { // RegExp
-          this.validators[property] = this.validators[property] || []
-          this.validators[property].push(function (value) {
+          this.addRule(property, 'pattern', validator, function (value) {
             return validator.test(value)
           })
-          this.emit('validator.add', property)
         } else {
           console.warn('No validator could be created for %c' + property + '%c. The validator appears to be invalid.', NGN.css, '')
         }
@@ -923,17 +1035,43 @@ class NgnDataModel extends NGN.EventEmitter {
       case 'string':
       case 'number':
       case 'date':
-        this.validators[property] = this.validators[property] || []
-        this.validators[property].push(function (value) {
+        this.addRule(property, 'equals', validator, function (value) {
           return value === validator
         })
-        this.emit('validator.add', property)
         break
       default:
         console.warn('No validator could be create for %c' + property + '%c. The validator appears to be invalid.', NGN.css, '')
     }
   }
 
+  /**
+   * @method addRule
+   * Add a validation rule for a specific model property.
+   * @param {String} field
+   * The data field to test.
+   * @param {String} rule
+   * The name of the rule (`pattern`, `min`, `max`, `enum`, `custom`, etc),
+   * used to describe validation errors.
+   * @param {any} constraint
+   * The value the rule tests against (i.e. the minimum of a `min` rule).
+   * @param {Function} test
+   * The validation method. It receives the value and returns `true` when
+   * the value is valid.
+   * @fires validator.add
+   * @private
+   */
+  addRule (field, rule, constraint, test) {
+    this.validators[field] = this.validators[field] || []
+    this.validators[field].push({
+      rule: rule,
+      constraint: constraint,
+      test: test,
+      state: null
+    })
+
+    this.emit('validator.add', field)
+  }
+
   /**
     * @method removeValidator
     * Remove a data validator from the object.
@@ -951,45 +1089,472 @@ class NgnDataModel extends NGN.EventEmitter {
   /**
     * @method validate
     * Validate one or all attributes of the data.
+    *
+    * When all attributes are validated, a report describing every
+    * validation error is returned:
+    *
+    * ```js
+    * let report = record.validate()
+    *
+    * // {
+    * //   valid: false,
+    * //   errors: [{
+    * //     field: 'age',
+    * //     rule: 'min',
+    * //     value: -1,
+    * //     constraint: 0,
+    * //     template: '{field} must be at least {constraint}.',
+    * //     message: 'age must be at least 0.'
+    * //   }]
+    * // }
+    *
+    * if (!report.valid) {
+    *   return res.status(400).send(report)
+    * }
+    * ```
+    *
+    * The `rule` is one of `required`, `type`, `pattern`, `min`, `max`,
+    * `enum`, `equals` or `custom` (validators defined with a `validate`
+    * function or #addValidator). Empty (`null`) values are only tested by
+    * the `required` rule, and values of the wrong type only fail the `type`
+    * rule. Errors reported by model-level #rules have a `null`
+    * field, the name of the rule, and the list of `fields` involved.
+    * Asynchronous validators are considered valid until they complete.
+    * Use #validateAsync to wait for them.
+    *
+    * Messages are generated from the templates of NGN.DATA.Model#validationMessages.
+    * The `{field}`, `{value}` and `{constraint}` placeholders are replaced
+    * with the details of the error. Templates can be overridden per data
+    * field:
+    *
+    * ```js
+    * fields: {
+    *   age: {
+    *     type: Number,
+    *     min: 18,
+    *     messages: {
+    *       min: 'You must be {constraint} or older.'
+    *     }
+    *   }
+    * }
+    * ```
     * @param {String} [attribute=null]
     * Validate a specific attribute. By default, all attributes are tested.
-    * @private
-    * @returns {Boolean}
-    * Returns true or false based on the validity of data.
+    * @returns {Boolean|Object}
+    * When an attribute is specified, returns `true` or `false` based on the
+    * validity of the attribute. Otherwise, a validation report (an object
+    * with `valid` and `errors` attributes) is returned.
     */
   validate (attribute) {
     // If validation is turned off, treat everything as valid.
     if (!this.validation) {
-      return true
+      return attribute ? true : {
+        valid: true,
+        errors: []
+      }
     }
-    const me = this
 
     // Single Attribute Validation
     if (attribute) {
-      if (this.validators.hasOwnProperty(attribute)) {
-        for (let i = 0; i < this.validators[attribute].length; i++) {
-          if (!me.validators[attribute][i].apply(me, [me[attribute]])) {
-            me.invalidDataAttributes.indexOf(attribute) < 0 && me.invalidDataAttributes.push(attribute)
-            return false
-          } else {
-            me.invalidDataAttributes = me.invalidDataAttributes.filter(function (attr) {
-              return attribute !== attr
-            })
+      this.getValidationErrors(attribute)
+
+      return this.invalidDataAttributes.indexOf(attribute) < 0
+    }
+
+    let report = this.getValidationReport()
+
+    this.notifyRules(report.errors)
+
+    return report
+  }
+
+  /**
+   * @method getValidationReport
+   * Validate all attributes and the model-level #rules without triggering
+   * events (see #validate).
+   * @return {object}
+   * The validation report.
+   * @private
+   */
+  getValidationReport () {
+    if (!this.validation) {
+      return {
+        valid: true,
+        errors: []
+      }
+    }
+
+    let failed = this.getFailedRules()
+    let errors = []
+
+    for (let i = 0; i < this.datafields.length; i++) {
+      errors = errors.concat(this.getValidationErrors(this.datafields[i], failed))
+    }
+
+    errors = errors.concat(this.getRuleErrors(failed))
+
+    return {
+      valid: errors.length === 0,
+      errors: errors
+    }
+  }
+
+  /**
+   * @method getValidationErrors
+   * Validate a data field and describe each failed rule.
+   * The #invalidDataAttributes are updated accordingly. Fields involved in
+   * a failed model-level rule (see #rules) remain flagged as invalid.
+   * @param {string} field
+   * The name of the data field.
+   * @param {string[]} [failedRules]
+   * The names of the failed model-level rules. By default, the rules
+   * involving the field are applied.
+   * @return {object[]}
+   * The validation errors (see #validate).
+   * @private
+   */
+  getValidationErrors (field, failedRules = null) {
+    let value = this[field]
+    let errors = []
+
+    // The ID is not a validated data field (see #addField).
+    if (!this.fields.hasOwnProperty(field) || field.toLowerCase() === 'id') {
+      return errors
+    }
+
+    if (value === null || value === undefined) {
+      if (!this.validateDataType(field)) {
+        errors.push(this.createValidationError(field, 'required', value, true))
+      }
+    } else {
+      if (!this.validateDataType(field)) {
+        let type = this.getFieldType(field)
+
+        errors.push(this.createValidationError(field, 'type', value, type !== null ? type.name : NGN.typeof(this.fields[field].type)))
+      } else {
+        // Rules (min, max, enum, etc) only apply to values of the right type.
+        NGN.coalesce(this.validators[field], []).forEach(validator => {
+          if (!this.testRule(field, validator, value)) {
+            errors.push(this.createValidationError(field, validator.rule, value, validator.constraint))
           }
+        })
+      }
+    }
+
+    let index = this.invalidDataAttributes.indexOf(field)
+    let flagged = NGN.coalesce(failedRules, this.getFailedRules(field)).some(name => this.rules[name].fields.indexOf(field) >= 0)
+
+    if (errors.length > 0 || flagged) {
+      index < 0 && this.invalidDataAttributes.push(field)
+    } else if (index >= 0) {
+      this.invalidDataAttributes.splice(index, 1)
+    }
+
+    return errors
+  }
+
+  /**
+   * @method validateRules
+   * Apply the model-level validation #rules. The #invalidDataAttributes
+   * are updated accordingly, and the `record.invalid`/`record.valid`
+   * events are triggered when the result of a rule changes.
+   * @return {object[]}
+   * The validation errors (see #getRuleErrors).
+   * @private
+   */
+  validateRules () {
+    if (!this.validation) {
+      return []
+    }
+
+    let failed = this.getFailedRules()
+    let fields = []
+
+    Object.keys(this.rules).forEach(name => {
+      this.rules[name].fields.forEach(field => fields.indexOf(field) < 0 && fields.push(field))
+    })
+
+    fields.forEach(field => this.getValidationErrors(field, failed))
+
+    let errors = this.getRuleErrors(failed)
+
+    this.notifyRules(errors)
+
+    return errors
+  }
+
+  /**
+   * @method getFailedRules
+   * Identify the model-level #rules that fail.
+   * @param {string} [field]
+   * Only apply the rules involving this data field.
+   * @return {string[]}
+   * The names of the failed rules.
+   * @private
+   */
+  getFailedRules (field = null) {
+    return Object.keys(this.rules).filter(name => {
+      let rule = this.rules[name]
+
+      return (field === null || rule.fields.indexOf(field) >= 0) && !rule.validate.apply(this, [this])
+    })
+  }
+
+  /**
+   * @method getRuleErrors
+   * Describe the failed model-level #rules. Rules that do not list any
+   * fields flag their own name in the #invalidDataAttributes (the fields of
+   * other rules are flagged by #getValidationErrors).
+   * @param {string[]} failedRules
+   * The names of the failed rules (see #getFailedRules).
+   * @return {object[]}
+   * The validation errors (see #validate). Model-level errors have a `null`
+   * field. The `rule` is the name of the rule, and the `fields` attribute
+   * lists the data fields involved.
+   * @private
+   */
+  getRuleErrors (failedRules) {
+    let errors = []
+
+    Object.keys(this.rules).forEach(name => {
+      let rule = this.rules[name]
+      let failed = failedRules.indexOf(name) >= 0
+
+      if (rule.fields.length === 0) {
+        let index = this.invalidDataAttributes.indexOf(name)
+
+        if (failed) {
+          index < 0 && this.invalidDataAttributes.push(name)
+        } else if (index >= 0) {
+          this.invalidDataAttributes.splice(index, 1)
         }
+      }
 
-        if (!this.validateDataType(attribute)) {
-          this.invalidDataAttributes.push(attribute)
-          return false
+      if (failed) {
+        let template = NGN.coalesce(rule.message, NgnDataModel.validationMessages.record)
+
+        errors.push({
+          field: null,
+          fields: rule.fields,
+          rule: name,
+          value: null,
+          constraint: null,
+          template: template,
+          message: template.replace(/\{(rule|fields)\}/g, (match, key) => key === 'rule' ? name : rule.fields.join(', '))
+        })
+      }
+    })
+
+    return errors
+  }
+
+  /**
+   * @method notifyRules
+   * Trigger the `record.invalid`/`record.valid` events for model-level
+   * #rules whose result changed since the last notification.
+   * @param {object[]} errors
+   * The validation errors (see #validate).
+   * @fires record.invalid
+   * Triggered when a rule fails. An object with the `rule` name and the
+   * `fields` of the rule is passed to handlers.
+   * @fires record.valid
+   * Triggered when a rule that failed is satisfied. An object with the
+   * `rule` name and the `fields` of the rule is passed to handlers.
+   * @private
+   */
+  notifyRules (errors) {
+    let failed = errors.filter(error => error.field === null).map(error => error.rule)
+
+    Object.keys(this.rules).forEach(name => {
+      let valid = failed.indexOf(name) < 0
+
+      if (NGN.coalesce(this.ruleResults[name], true) !== valid) {
+        this.emit(valid ? 'record.valid' : 'record.invalid', {
+          rule: name,
+          fields: this.rules[name].fields
+        })
+      }
+
+      this.ruleResults[name] = valid
+    })
+  }
+
+  /**
+   * @method testRule
+   * Test a value against a validation rule.
+   *
+   * Asynchronous rules (which return a Promise) are considered valid until
+   * the Promise settles. The result is reused for as long as the value of
+   * the field remains the same. Objects, arrays and dates are compared by
+   * checksum, so values modified in place are validated again. When the
+   * result changes the validity of the field, the `field.valid` or
+   * `field.invalid` event is triggered.
+   * @param {string} field
+   * The name of the data field.
+   * @param {object} validator
+   * The validation rule (see #addRule).
+   * @param {any} value
+   * The value to test.
+   * @return {boolean}
+   * @fires field.valid
+   * @fires field.invalid
+   * @private
+   */
+  testRule (field, validator, value) {
+    let fingerprint = value !== null && typeof value === 'object' ? NGN.DATA.util.checksum(JSON.stringify(value)) : value
+
+    if (validator.state !== null && validator.state.value === fingerprint) {
+      return NGN.coalesce(validator.state.valid, true)
+    }
+
+    let result = validator.test.apply(this, [value])
+
+    if (!result || !NGN.isFn(result.then)) {
+      return result
+    }
+
+    let state = {
+      value: fingerprint,
+      valid: null,
+      promise: null
+    }
+
+    validator.state = state
+
+    // Rejected Promises are treated as failed validations.
+    state.promise = Promise.resolve(result).then(valid => !!valid, () => false).then(valid => {
+      // Ignore results for outdated values.
+      if (validator.state !== state) {
+        return valid
+      }
+
+      let wasValid = this.invalidDataAttributes.indexOf(field) < 0
+
+      state.valid = valid
+
+      let isValid = this.validate(field)
+
+      if (isValid !== wasValid) {
+        this.emit(isValid ? 'field.valid' : 'field.invalid', {
+          field: field
+        })
+      }
+
+      return valid
+    })
+
+    return true
+  }
+
+  /**
+   * @method validateAsync
+   * Validate one or all attributes of the data, waiting for asynchronous
+   * validators to complete.
+   *
+   * ```js
+   * let user = new User({ email: 'john@doe.com' })
+   *
+   * user.addValidator('email', function (email) {
+   *   return fetch(`/api/users?email=${email}`)
+   *     .then(res => res.json())
+   *     .then(users => users.length === 0)
+   * })
+   *
+   * user.validateAsync().then(report => {
+   *   if (!report.valid) {
+   *     return res.status(400).send(report)
+   *   }
+   * })
+   * ```
+   * @param {String} [attribute=null]
+   * Validate a specific attribute. By default, all attributes are tested.
+   * @param {Function} [callback]
+   * Executed when the validation is complete. This receives an error
+   * (or `null`) and the result (see the return value).
+   * @return {Promise}
+   * When an attribute is specified, resolves with `true` or `false` based
+   * on the validity of the attribute. Otherwise, resolves with a validation
+   * report (see #validate).
+   */
+  validateAsync (attribute = null, callback) {
+    if (NGN.isFn(attribute)) {
+      callback = attribute
+      attribute = null
+    }
+
+    let fields = attribute ? [attribute] : this.datafields
+
+    // Validating starts asynchronous validators.
+    fields.forEach(field => this.validate(field))
+
+    let pending = []
+
+    fields.forEach(field => {
+      NGN.coalesce(this.validators[field], []).forEach(validator => {
+        if (validator.state !== null && validator.state.valid === null) {
+          pending.push(validator.state.promise)
         }
+      })
+    })
+
+    if (pending.length > 0) {
+      // Values may change while validators are running, so validate again.
+      return Promise.all(pending).then(() => this.validateAsync(attribute, callback))
+    }
+
+    let result = attribute ? this.validate(attribute) : this.validate()
+
+    NGN.isFn(callback) && callback(null, result)
+
+    return Promise.resolve(result)
+  }
+
+  /**
+   * @method createValidationError
+   * Describe a validation error.
+   * @param {string} field
+   * The name of the data field.
+   * @param {string} rule
+   * The rule that failed.
+   * @param {any} value
+   * The invalid value.
+   * @param {any} constraint
+   * The value the rule tests against.
+   * @return {object}
+   * @private
+   */
+  createValidationError (field, rule, value, constraint) {
+    let templates = NGN.coalesce(this.fields[field].messages, {})
+    let template = NGN.coalesce(templates[rule], NgnDataModel.validationMessages[rule], NgnDataModel.validationMessages.custom)
+
+    const format = (item) => {
+      switch (NGN.typeof(item)) {
+        case 'array':
+          return item.map(format).join(', ')
+        case 'regexp':
+          return item.source
+        case 'date':
+          return item.toJSON()
+        case 'object':
+          return JSON.stringify(item)
       }
 
-      return true
+      return String(item)
     }
 
-    // Validate data type of each attribute
-    for (let i = 0; i < this.datafields.length; i++) {
-      me.validate(this.datafields[i])
+    let values = {
+      field: field,
+      value: value,
+      constraint: constraint
+    }
+
+    return {
+      field: field,
+      rule: rule,
+      value: value,
+      constraint: constraint instanceof RegExp ? constraint.source : constraint,
+      template: template,
+      message: template.replace(/\{(field|value|constraint)\}/g, (match, key) => format(values[key]))
     }
   }
 
@@ -1006,10 +1571,12 @@ class NgnDataModel extends NGN.EventEmitter {
     const expectedType = NGN.typeof(this.fields[field].type)
 
     if (fieldType !== 'null') {
-      return fieldType === expectedType
+      let type = this.getFieldType(field)
+
+      return type !== null ? type.validate(this[field], this.fields[field]) : fieldType === expectedType
     }
 
-    if (this[field] === null && this.fields[field].required) {
+    if (this[field] === null && this.fields[field].required && !this.fields[field].nullable) {
       if (this.autoid && field === this.idAttribute) {
         return true
       }
@@ -1020,6 +1587,37 @@ class NgnDataModel extends NGN.EventEmitter {
     return true
   }
 
+  /**
+   * @method getFieldType
+   * Identify the semantic type of a data field (see NGN.DATA.FieldType).
+   * @param {string} fieldname
+   * The name of the data field.
+   * @return {NGN.DATA.FieldType}
+   * The field type, or `null` if the field has a native type (i.e. `String`).
+   * @private
+   */
+  getFieldType (field) {
+    let type = this.fields.hasOwnProperty(field) ? this.fields[field].type : null
+
+    return NGN.DATA.FieldType && type instanceof NGN.DATA.FieldType ? type : null
+  }
+
+  /**
+   * @method coerceFieldValue
+   * Convert a string to a value of the semantic type of a data field
+   * (see NGN.DATA.FieldType#coerce).
+   * @param {string} fieldname
+   * The name of the data field.
+   * @param {any} value
+   * @return {any}
+   * @private
+   */
+  coerceFieldValue (field, value) {
+    let type = this.getFieldType(field)
+
+    return type === null ? value : type.coerce(value, this.fields[field])
+  }
+
   /**
    * @method getRelationshipField
    * Provides specific detail/configuration about a join/relationship.
@@ -1180,7 +1778,12 @@ class NgnDataModel extends NGN.EventEmitter {
 
         if ((_obj.hasOwnProperty(key) && (_obj.nonEnumerableProperties.indexOf(key) < 0 && /^[a-z0-9 ]$/.test(key.substr(0, 1)))) || (_obj[key] !== undefined && _obj.enumerableProperties.indexOf(key) >= 0)) {
           let dsc = Object.getOwnPropertyDescriptor(_obj, key)
-          if (!dsc.set) {
+          let fieldType = this.getFieldType(key)
+
+          if (!dsc.set && fieldType !== null) {
+            // Support semantic field types (see NGN.DATA.FieldType)
+            rtn[key] = fieldType.serialize(NGN.coalesce(_obj[key], this.fields[key].default, null), this.fields[key])
+          } else if (!dsc.set) {
             // Handle everything else
             switch (typeof dsc.value) {
               case 'function':
@@ -1274,11 +1877,23 @@ class NgnDataModel extends NGN.EventEmitter {
         }
       }
       me.fields[field].type = NGN.coalesce(me.fields[field].type, String)
+
+      // Semantic types are referenced by name (see NGN.DATA.FieldType)
+      if (typeof me.fields[field].type === 'string') {
+        let type = NGN.DATA.FieldType ? NGN.DATA.FieldType.get(me.fields[field].type) : null
+
+        if (type === null) {
+          throw new Error('Unrecognized data field type (' + me.fields[field].type + ') for ' + field + '.')
+        }
+
+        me.fields[field].type = type
+      }
+
       if (field === me.idAttribute && me.autoid === true) {
         me.fields[field].type = String
         me.fields[field]['default'] = NGN.coalesce(me.autoidPrefix, '') + NGN.DATA.util.GUID() + NGN.coalesce(me.autoidPostfix, '')
       } else {
-        me.fields[field]['default'] = NGN.coalesce(me.fields[field]['default'])
+        me.fields[field]['default'] = me.coerceFieldValue(field, NGN.coalesce(me.fields[field]['default']))
       }
       me.fields[field].hidden = NGN.coalesce(me.fields[field].hidden, false)
       me.raw[field] = me.fields[field]['default']
@@ -1289,6 +1904,8 @@ class NgnDataModel extends NGN.EventEmitter {
           return NGN.coalesce(me.raw[field], me.fields[field].default, null)
         },
         set: function (value) {
+          value = me.coerceFieldValue(field, value)
+
           let old = me.raw[field]
 
           // If no change is made, do not update anything.
@@ -1332,6 +1949,8 @@ class NgnDataModel extends NGN.EventEmitter {
               field: field
             })
           }
+
+          me.validateRules()
         }
       })
 
@@ -1351,18 +1970,12 @@ class NgnDataModel extends NGN.EventEmitter {
         }
         ['min', 'max', 'enum'].forEach(function (v) {
           if (me.fields[field].hasOwnProperty(v)) {
-            me.addValidator(field, function (val) {
+            me.addRule(field, v, me.fields[field][v], function (val) {
               return me._nativeValidators[v](me.fields[field][v], val)
             })
           }
         })
-        if (me.fields[field].hasOwnProperty('required')) {
-          if (me.fields[field].required) {
-            me.addValidator(field, function (val) {
-              return me._nativeValidators.required(field, val)
-            })
-          }
-        }
+        // Required fields are verified by #validateDataType
         if (me.fields[field].hasOwnProperty('validate')) {
           if (typeof me.fields[field].validate === 'function') {
             me.addValidator(field, function (val) {
@@ -1881,7 +2494,7 @@ class NgnDataModel extends NGN.EventEmitter {
 
       if (this.hasDataField(key)) {
         if (this.raw.hasOwnProperty(key)) {
-          this.raw[key] = data[key]
+          this.raw[key] = this.coerceFieldValue(key, data[key])
         } else if (key === this.idAttribute) {
           this.id = data[key]
         }
@@ -1899,15 +2512,554 @@ class NgnDataModel extends NGN.EventEmitter {
 
     // !fast && this.setUnmodified()
     !fast && this.setUnmodified()
+    this.validateRules()
     this.emit('load')
   }
+
+  /**
+   * @method toJSONSchema
+   * Generate a JSON Schema (draft-07) describing the model. Data fields are
+   * described as properties (with their type, `required` status, `pattern`,
+   * limits, `enum` and `default` value). Relationships are described as
+   * `$ref` references to the `definitions` of the schema.
+   *
+   * ```js
+   * let Person = new NGN.DATA.Model({
+   *   fields: {
+   *     name: {
+   *       type: String,
+   *       required: true,
+   *       pattern: /^[A-Z]/
+   *     },
+   *     age: {
+   *       type: Number,
+   *       min: 0
+   *     }
+   *   },
+   *   relationships: {
+   *     address: Address
+   *   }
+   * })
+   *
+   * console.log((new Person()).toJSONSchema())
+   * // {
+   * //   $schema: 'http://json-schema.org/draft-07/schema#',
+   * //   type: 'object',
+   * //   properties: {
+   * //     name: { type: 'string', pattern: '^[A-Z]' },
+   * //     age: { type: 'number', minimum: 0 },
+   * //     id: { type: 'string' },
+   * //     address: { $ref: '#/definitions/address' }
+   * //   },
+   * //   required: ['name', 'id', 'address'],
+   * //   definitions: {
+   * //     address: { ... }
+   * //   }
+   * // }
+   * ```
+   *
+   * Virtual fields and meta fields are not part of the schema. Custom
+   * `validate` functions cannot be represented in JSON Schema, so they are
+   * ignored. Data fields configured with `jsonSchema: false` (i.e. the ID
+   * generated by #fromJSONSchema) are omitted. The following data field
+   * attributes are also represented:
+   *
+   * - `nullable` (boolean): The type also accepts `null` (i.e.
+   *   `type: ['string', 'null']`).
+   * - `items` (object): The JSON Schema of the items of an `Array` field.
+   *
+   * The `min`/`max` limits of date fields are described with the
+   * `formatMinimum`/`formatMaximum` keywords. These are not part of
+   * draft-07 (validators such as ajv support them as an extension).
+   * @return {object}
+   */
+  toJSONSchema () {
+    let definitions = {}
+    let schema = Object.assign({
+      $schema: 'http://json-schema.org/draft-07/schema#'
+    }, this.getJSONSchema(definitions, new Map()))
+
+    if (Object.keys(definitions).length > 0) {
+      schema.definitions = definitions
+    }
+
+    return schema
+  }
+
+  /**
+   * @method getJSONSchema
+   * Generate the JSON Schema of the model.
+   * @param {object} definitions
+   * The definitions of the root schema. Related models are added to it.
+   * @param {Map} references
+   * A map of the related models and their definition names. This prevents
+   * models from being defined more than once.
+   * @return {object}
+   * @private
+   */
+  getJSONSchema (definitions, references) {
+    let schema = {
+      type: 'object',
+      properties: {}
+    }
+
+    let required = []
+
+    this.datafields.forEach(fieldname => {
+      let field = this.fields[fieldname]
+
+      if (field.jsonSchema === false) {
+        return
+      }
+
+      let fieldType = this.getFieldType(fieldname)
+      let property = {}
+      let type = NgnDataModel.JSONSchemaTypes.filter(item => item[1] === field.type)[0]
+
+      if (fieldType !== null) {
+        property = fieldType.toJSONSchema(field)
+      } else if (type) {
+        property.type = type[0]
+        type[2] && (property.format = type[2])
+      }
+
+      if (field.description) {
+        property.description = field.description
+      }
+
+      if (field.pattern instanceof RegExp) {
+        property.pattern = field.pattern.source
+      }
+
+      // NGN applies min/max to the value of numbers and the length of strings/arrays.
+      // Date limits use the formatMinimum/formatMaximum keywords (not part of draft-07).
+      let limits = {
+        string: ['minLength', 'maxLength'],
+        array: ['minItems', 'maxItems']
+      }[property.type] || ['minimum', 'maximum']
+
+      if (field.type === Date || (fieldType !== null && fieldType.base === Date)) {
+        field.min instanceof Date && (property.formatMinimum = field.min.toJSON())
+        field.max instanceof Date && (property.formatMaximum = field.max.toJSON())
+      } else {
+        field.hasOwnProperty('min') && (property[limits[0]] = field.min)
+        field.hasOwnProperty('max') && (property[limits[1]] = field.max)
+      }
+
+      if (Array.isArray(field.enum)) {
+        property.enum = field.enum
+      }
+
+      if (property.type === 'array' && NGN.typeof(field.items) === 'object') {
+        property.items = field.items
+      }
+
+      if (field.nullable && typeof property.type === 'string') {
+        property.type = [property.type, 'null']
+      }
+
+      // Automatically generated ID's are not defaults.
+      if (field.default !== null && !(fieldname === this.idAttribute && this.autoid)) {
+        if (fieldType !== null) {
+          property.default = fieldType.serialize(field.default, field)
+        } else {
+          property.default = field.default instanceof Date ? field.default.toJSON() : field.default
+        }
+      }
+
+      field.required && required.push(fieldname)
+
+      schema.properties[fieldname] = property
+    })
+
+    this.relationships.forEach(name => {
+      let join = this.joins[name]
+      let collection = true
+      let Model = join.type
+
+      if (Model instanceof NGN.DATA.Store || (NGN.typeof(Model) === 'object' && Model.model)) {
+        Model = Model.model
+      } else if (Array.isArray(Model)) {
+        Model = Model[0]
+      } else {
+        collection = false
+      }
+
+      if (!references.has(Model)) {
+        let related = new Model()
+        let base = NGN.coalesce(related.jsonSchemaName, name)
+        let definition = base
+        let i = 1
+
+        while (definitions.hasOwnProperty(definition)) {
+          definition = base + (i++)
+        }
+
+        references.set(Model, definition)
+
+        // Reserve the name before the nested model adds its own definitions.
+        definitions[definition] = {}
+        definitions[definition] = related.getJSONSchema(definitions, references)
+      }
+
+      let ref = {
+        $ref: '#/definitions/' + references.get(Model)
+      }
+
+      schema.properties[name] = collection ? {type: 'array', items: ref} : ref
+
+      join.required && required.push(name)
+    })
+
+    if (required.length > 0) {
+      schema.required = required
+    }
+
+    return schema
+  }
+
+  /**
+   * @method fromJSONSchema
+   * Create a model from a JSON Schema (draft-04 through draft-07).
+   *
+   * ```js
+   * let Person = NGN.DATA.Model.fromJSONSchema({
+   *   type: 'object',
+   *   properties: {
+   *     name: { type: 'string', pattern: '^[A-Z]' },
+   *     age: { type: 'integer', minimum: 0, default: 0 },
+   *     gender: { enum: ['m', 'f', 'x'] },
+   *     address: { $ref: '#/definitions/address' },
+   *     phones: { type: 'array', items: { $ref: '#/definitions/phone' } }
+   *   },
+   *   required: ['name'],
+   *   definitions: {
+   *     address: { type: 'object', properties: { ... } },
+   *     phone: { type: 'object', properties: { ... } }
+   *   }
+   * }, {
+   *   autoid: true
+   * })
+   * ```
+   *
+   * The schema properties are converted to data fields:
+   *
+   * - `type` is converted to the field type (`String`, `Number`, `Boolean`,
+   *   `Array`, `Object`). Strings with a `date` or `date-time` format are
+   *   converted to `Date` fields.
+   * - `required` properties are required fields.
+   * - `pattern`, `enum` and `default` are applied to the field.
+   * - `minimum`/`maximum` (numbers), `minLength`/`maxLength` (strings) and
+   *   `minItems`/`maxItems` (arrays) are converted to `min`/`max`.
+   *   `formatMinimum`/`formatMaximum` are converted to the `min`/`max`
+   *   of date fields.
+   * - Types that include `null` (i.e. `['string', 'null']`) are converted
+   *   to `nullable` fields, which accept `null` even when they are required.
+   * - The `items` of arrays of other values (i.e. strings) are kept as the
+   *   `items` attribute of the field (they are not validated).
+   *
+   * Nested objects (`$ref` references or objects with `properties`) are
+   * converted to relationships. Arrays of nested objects are converted to
+   * relationships with a collection of records. Models created from `$ref`
+   * references keep the name of their definition (see #jsonSchemaName).
+   * Other keywords are ignored.
+   *
+   * If the schema does not have an `id` property, an optional `id` field is
+   * added to the model. It is configured with `jsonSchema: false`, so it is
+   * not part of the schema generated by #toJSONSchema.
+   * @param {object} schema
+   * The JSON Schema of an object.
+   * @param {object} [config]
+   * Additional model configuration (i.e. `idAttribute`, `autoid`,
+   * `virtuals`, etc).
+   * @return {NGN.DATA.Model}
+   * @static
+   */
+  static fromJSONSchema (schema, config = {}) {
+    return NgnDataModel.createFromJSONSchema(schema, schema, config, new Map(), [])
+  }
+
+  /**
+   * @method assertFieldTypes
+   * Make sure the semantic types (see NGN.DATA.FieldType) referenced by the
+   * data fields of a model configuration are registered, so unknown types
+   * are reported when the model is defined instead of when it is first
+   * instantiated.
+   * @param {object} config
+   * The model configuration.
+   * @throws {Error}
+   * Thrown when a data field references an unknown type.
+   * @private
+   * @static
+   */
+  static assertFieldTypes (config) {
+    let fields = NGN.coalesce(config.fields, {})
+
+    Object.keys(fields).forEach(field => {
+      let type = fields[field] !== null && typeof fields[field] === 'object' ? fields[field].type : fields[field]
+
+      if (typeof type === 'string' && (!NGN.DATA.FieldType || NGN.DATA.FieldType.get(type) === null)) {
+        throw new Error('Unrecognized data field type (' + type + ') for ' + field + '.')
+      }
+    })
+  }
+
+  /**
+   * @method getJSONSchemaTypes
+   * Identify the field types corresponding to JSON Schema types and formats.
+   * Field types (see NGN.DATA.FieldType) with a JSON Schema format (or the
+   * `integer` type) take precedence over the native types.
+   * @return {array}
+   * A list of JSON Schema types, field types and formats (see #JSONSchemaTypes).
+   * @private
+   * @static
+   */
+  static getJSONSchemaTypes () {
+    let types = []
+
+    if (NGN.DATA.FieldType) {
+      NGN.DATA.FieldType.types.forEach(name => {
+        let fieldType = NGN.DATA.FieldType.get(name)
+        let schema = fieldType.toJSONSchema()
+
+        if (schema.type && (schema.format || schema.type === 'integer')) {
+          types.push([schema.type, fieldType, schema.format])
+        }
+      })
+    }
+
+    return types.concat(NgnDataModel.JSONSchemaTypes)
+  }
+
+  /**
+   * @method createFromJSONSchema
+   * Create a model from a JSON Schema object definition.
+   * @param {object} schema
+   * The object definition.
+   * @param {object} root
+   * The root schema, used to resolve `$ref` references.
+   * @param {object} config
+   * Additional model configuration.
+   * @param {Map} models
+   * A map of `$ref` references and the corresponding models.
+   * @param {array} path
+   * The `$ref` references being resolved (used to detect circular references).
+   * @return {NGN.DATA.Model}
+   * @private
+   * @static
+   */
+  static createFromJSONSchema (schema, root, config, models, path) {
+    if (NGN.typeof(schema) !== 'object' || NGN.typeof(schema.properties) !== 'object') {
+      throw new Error('Invalid JSON Schema. An object schema with properties is required.')
+    }
+
+    const resolve = (definition) => {
+      if (!definition.$ref) {
+        return definition
+      }
+
+      let ref = definition.$ref
+
+      if (path.indexOf(ref) >= 0 || ref === '#') {
+        throw new Error(`Circular JSON Schema reference (${ref}) cannot be converted to a relationship.`)
+      }
+
+      if (ref.indexOf('#/') !== 0) {
+        throw new Error(`Unsupported JSON Schema reference (${ref}). Only local references are supported.`)
+      }
+
+      let target = ref.substr(2).split('/').reduce((node, key) => {
+        key = decodeURIComponent(key).replace(/~1/g, '/').replace(/~0/g, '~')
+        return node && node.hasOwnProperty(key) ? node[key] : undefined
+      }, root)
+
+      if (target === undefined) {
+        throw new Error(`JSON Schema reference ${ref} does not exist.`)
+      }
+
+      return target
+    }
+
+    const model = (definition) => {
+      if (!definition.$ref) {
+        return NgnDataModel.createFromJSONSchema(definition, root, {}, models, path)
+      }
+
+      if (!models.has(definition.$ref)) {
+        let name = decodeURIComponent(definition.$ref.split('/').pop()).replace(/~1/g, '/').replace(/~0/g, '~')
+
+        models.set(definition.$ref, NgnDataModel.createFromJSONSchema(resolve(definition), root, {
+          jsonSchemaName: name
+        }, models, path.concat([definition.$ref])))
+      }
+
+      return models.get(definition.$ref)
+    }
+
+    const isObject = (definition) => NGN.typeof(resolve(definition).properties) === 'object'
+
+    let required = NGN.coalesce(schema.required, [])
+    let fields = {}
+    let relationships = {}
+
+    Object.keys(schema.properties).forEach(name => {
+      let property = schema.properties[name]
+
+      if (isObject(property)) {
+        relationships[name] = {
+          type: model(property),
+          required: required.indexOf(name) >= 0
+        }
+
+        return
+      }
+
+      property = resolve(property)
+
+      let type = Array.isArray(property.type) ? property.type.filter(item => item !== 'null')[0] : property.type
+      let nullable = Array.isArray(property.type) && property.type.indexOf('null') >= 0
+
+      if (type === 'array' && property.items && NGN.typeof(property.items) === 'object' && isObject(property.items)) {
+        relationships[name] = {
+          type: [model(property.items)],
+          required: required.indexOf(name) >= 0
+        }
+
+        return
+      }
+
+      if (type === undefined && Array.isArray(property.enum) && property.enum.length > 0) {
+        type = NGN.typeof(property.enum[0])
+      }
+
+      let match = NgnDataModel.getJSONSchemaTypes().filter(item => item[0] === type && (item[2] === undefined || item[2] === property.format))
+
+      // Prefer the type with a matching format (i.e. Date over String)
+      match.sort((a, b) => (a[2] === undefined ? 1 : 0) - (b[2] === undefined ? 1 : 0))
+
+      let field = {
+        type: match.length > 0 ? match[0][1] : String,
+        required: required.indexOf(name) >= 0
+      }
+
+      if (nullable) {
+        field.nullable = true
+      }
+
+      if (property.description) {
+        field.description = property.description
+      }
+
+      if (type === 'array' && NGN.typeof(property.items) === 'object') {
+        field.items = property.items
+      }
+
+      if (property.pattern) {
+        field.pattern = new RegExp(property.pattern)
+      }
+
+      if (Array.isArray(property.enum)) {
+        field.enum = property.enum
+      }
+
+      if (property.hasOwnProperty('default')) {
+        field.default = field.type === Date && property.default !== null ? new Date(property.default) : property.default
+      }
+
+      Object.keys(NgnDataModel.JSONSchemaLimits).forEach(keyword => {
+        if (property.hasOwnProperty(keyword)) {
+          field[NgnDataModel.JSONSchemaLimits[keyword]] = property[keyword]
+        }
+      })
+
+      // Date limits (see #toJSONSchema)
+      if (field.type === Date || field.type.base === Date) {
+        property.hasOwnProperty('formatMinimum') && (field.min = new Date(property.formatMinimum))
+        property.hasOwnProperty('formatMaximum') && (field.max = new Date(property.formatMaximum))
+      }
+
+      fields[name] = field
+    })
+
+    // Models require an ID by default, but the schema does not.
+    if (!fields.hasOwnProperty('id')) {
+      fields.id = {
+        type: String,
+        required: false,
+        jsonSchema: false
+      }
+    }
+
+    return NGN.DATA.Model(Object.assign({}, config, {
+      fields: Object.assign(fields, NGN.coalesce(config.fields, {})),
+      relationships: Object.assign(relationships, NGN.coalesce(config.relationships, {}))
+    }))
+  }
 }
 
+/**
+ * @property {object} validationMessages
+ * The message templates of validation errors, by rule (see #validate).
+ * The `{field}`, `{value}` and `{constraint}` placeholders are replaced
+ * with the details of each error. Templates can be modified to customize
+ * (or translate) the messages of every model.
+ *
+ * ```js
+ * NGN.DATA.Model.validationMessages.required = '{field} est obligatoire.'
+ * ```
+ * @static
+ */
+Object.defineProperty(NgnDataModel, 'validationMessages', NGN.const({
+  required: '{field} is required.',
+  type: '{field} must be a valid {constraint}.',
+  pattern: '{field} does not match the required pattern.',
+  min: '{field} must be at least {constraint}.',
+  max: '{field} must be at most {constraint}.',
+  enum: '{field} must be one of: {constraint}.',
+  equals: '{field} must be {constraint}.',
+  custom: '{field} is invalid.',
+  record: 'The record does not satisfy the {rule} rule.'
+}))
+
+/**
+ * @property {array} JSONSchemaTypes
+ * JSON Schema types (and formats) and the corresponding data field types.
+ * @static
+ * @private
+ */
+Object.defineProperty(NgnDataModel, 'JSONSchemaTypes', NGN.privateconst([
+  ['string', String],
+  ['number', Number],
+  ['integer', Number],
+  ['boolean', Boolean],
+  ['array', Array],
+  ['object', Object],
+  ['string', Date, 'date-time'],
+  ['string', Date, 'date']
+]))
+
+/**
+ * @property {object} JSONSchemaLimits
+ * JSON Schema keywords and the corresponding data field limits.
+ * @static
+ * @private
+ */
+Object.defineProperty(NgnDataModel, 'JSONSchemaLimits', NGN.privateconst({
+  minimum: 'min',
+  maximum: 'max',
+  minLength: 'min',
+  maxLength: 'max',
+  minItems: 'min',
+  maxItems: 'max'
+}))
+
 NGN.DATA = NGN.DATA || {}
 // Object.defineProperty(NGN.DATA, 'Model', NGN.public(Entity))
 
 Object.defineProperties(NGN.DATA, {
   Model: NGN.const(function (cfg) {
+    NgnDataModel.assertFieldTypes(NGN.coalesce(cfg, {}))
+
     const ModelLoader = function (data, fast = false) {
       let model = new NgnDataModel(cfg)
 
@@ -1918,12 +3070,17 @@ Object.defineProperties(NGN.DATA, {
       return model
     }
 
+    ModelLoader.toJSONSchema = () => (new NgnDataModel(cfg)).toJSONSchema()
+
     return ModelLoader
   }),
 
   Entity: NGN.private(NgnDataModel)
 })
 
+NGN.DATA.Model.fromJSONSchema = NgnDataModel.fromJSONSchema
+NGN.DATA.Model.validationMessages = NgnDataModel.validationMessages
+
 if (NGN.nodelike) {
   module.exports = NGN.DATA
 }
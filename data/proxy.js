@@ -14,6 +14,23 @@
  * @fires statechange
  * Triggered when the state changes. The new state (enabled/disabled)
  * is passed to the event handler.
+ * @fires queue.flushed
+ * Triggered when every queued live sync operation has been replayed
+ * successfully (see #offlineQueue).
+ * @fires queue.failed
+ * Triggered when a queued live sync operation still fails after
+ * #retryLimit attempts. The error and the queued operation (an object
+ * with `action`, `record`, `attempts` and `error` attributes) are passed
+ * to the event handler. The operation is removed from the queue, so the
+ * remaining operations can be replayed.
+ * @fires conflict
+ * Triggered when #save detects a record was modified remotely since it
+ * was fetched (see #conflictResolution). An object with `record`,
+ * `local`, `remote`, `base` and `resolved` attributes is passed to the
+ * event handler. `local` and `remote` are the conflicting versions of
+ * the data, `base` is the data as it was last fetched/saved and
+ * `resolved` is the data that will be persisted (`null` when the remote
+ * version is kept).
  */
 class NgnDataProxy extends NGN.EventEmitter {
   constructor (config) {
@@ -37,6 +54,99 @@ class NgnDataProxy extends NGN.EventEmitter {
        */
       liveSyncEnabled: NGN.private(false),
 
+      // Live sync event handlers, bound to the proxy.
+      syncHandlers: NGN.private({}),
+
+      /**
+       * @cfg {boolean} [offlineQueue=false]
+       * When enabled, live sync operations are queued while the proxy is
+       * disabled (live sync remains active) or when an operation fails.
+       * Queued operations are replayed in order when the proxy is enabled.
+       * Failed operations are retried using an exponential backoff (see
+       * #retryDelay).
+       *
+       * Proxy implementations must trigger a `live.<action>` event when a
+       * live sync operation succeeds and a `live.<action>.failed` event
+       * (with the error and record as arguments) when it fails. For models,
+       * the record is the model itself.
+       *
+       * The queue is held in memory. To keep changes across restarts of the
+       * application, persist the output of #exportQueue and restore it with
+       * #importQueue:
+       *
+       * ```js
+       * window.addEventListener('unload', () => {
+       *   localStorage.setItem('queue', JSON.stringify(People.proxy.exportQueue()))
+       * })
+       *
+       * People.proxy.importQueue(JSON.parse(localStorage.getItem('queue') || '[]'))
+       * ```
+       */
+      offlineQueue: NGN.privateconst(NGN.coalesce(config.offlineQueue, false)),
+
+      /**
+       * @cfg {number} [retryDelay=1000]
+       * The number of milliseconds to wait before retrying a failed
+       * live sync operation for the first time. The delay doubles with
+       * each subsequent attempt.
+       */
+      retryDelay: NGN.privateconst(NGN.coalesce(config.retryDelay, 1000)),
+
+      /**
+       * @cfg {number} [maxRetryDelay=30000]
+       * The maximum number of milliseconds to wait between retries.
+       */
+      maxRetryDelay: NGN.privateconst(NGN.coalesce(config.maxRetryDelay, 30000)),
+
+      /**
+       * @cfg {number} [retryLimit=5]
+       * The number of attempts made to replay a queued operation before
+       * it is discarded and the `queue.failed` event is triggered.
+       */
+      retryLimit: NGN.privateconst(NGN.coalesce(config.retryLimit, 5)),
+
+      /**
+       * @cfg {string|Function} [conflictResolution=null]
+       * Setting this enables conflict detection when saving. Before a
+       * modified record is saved, the proxy compares the remote version
+       * of the record with the version that was last fetched/saved. If
+       * they differ, the `conflict` event is triggered and the conflict
+       * is resolved using one of the following strategies:
+       *
+       * - `client-wins`: The local record overwrites the remote version.
+       * - `server-wins`: The remote version is loaded into the local record
+       *   and the local changes are discarded (nothing is saved).
+       * - `merge`: A field-level merge. Fields that were only modified
+       *   locally keep the local value, fields that were only modified
+       *   remotely receive the remote value. If both versions modified
+       *   the same field, the local value wins.
+       * - A function, which receives the `local`, `remote` and `base`
+       *   data objects and the record. It should return the data to save,
+       *   or `null` to keep the remote version.
+       *
+       * ```js
+       * new NGN.DATA.HttpProxy({
+       *   url: 'http://localhost/people',
+       *   conflictResolution: function (local, remote, base, record) {
+       *     return remote.version > local.version ? null : local
+       *   }
+       * })
+       * ```
+       *
+       * Proxy implementations must retrieve the remote version and use
+       * #reconcile before saving a modified record. A DataProxyError is
+       * thrown when the proxy is created with an unknown strategy.
+       */
+      conflictResolution: NGN.private(NGN.coalesce(config.conflictResolution)),
+
+      // The last known remote version of each record.
+      versions: NGN.privateconst(new WeakMap()),
+
+      // The queued live sync operations.
+      outbox: NGN.private([]),
+      flushing: NGN.private(false),
+      retryTimer: NGN.private(null),
+
       _enabled: NGN.private(true),
 
       /**
@@ -46,6 +156,17 @@ class NgnDataProxy extends NGN.EventEmitter {
        */
       id: NGN.privateconst(NGN.DATA.util.GUID())
     })
+
+    if (this.conflictResolution !== null && !NGN.isFn(this.conflictResolution) && ['client-wins', 'server-wins', 'merge'].indexOf(this.conflictResolution) < 0) {
+      throw new DataProxyError(`Invalid conflict resolution strategy: ${this.conflictResolution}`)
+    }
+
+    if (this.offlineQueue) {
+      ['create', 'update', 'delete'].forEach((action) => {
+        this.on(`live.${action}`, (record) => this.onSyncSuccess(record))
+        this.on(`live.${action}.failed`, (err, record) => this.onSyncFailure(action, err, record))
+      })
+    }
   }
 
   /**
@@ -92,16 +213,36 @@ class NgnDataProxy extends NGN.EventEmitter {
     return NGN.DATA.ConnectionPool
   }
 
+  /**
+   * @property {Array} pendingOperations
+   * The live sync operations waiting to be replayed (see #offlineQueue).
+   * Each element is an object with `action` (the live sync method name),
+   * `record`, `attempts` and `error` attributes.
+   * @readonly
+   */
+  get pendingOperations () {
+    return this.outbox.map((entry) => {
+      return {
+        action: entry.action,
+        record: entry.target,
+        attempts: entry.attempts,
+        error: entry.error
+      }
+    })
+  }
+
   /**
    * @method enable
    * Changes the state to `enabled`. If the proxy is already
-   * enabled, this does nothing.
+   * enabled, this does nothing. When the #offlineQueue is used,
+   * queued operations are replayed (see #flush).
    */
   enable () {
     if (!this._enabled) {
       this._enabled = true
       this.emit('enabled')
       this.emit('statechange', this.state)
+      this.offlineQueue && this.flush()
     }
   }
 
@@ -109,14 +250,236 @@ class NgnDataProxy extends NGN.EventEmitter {
    * @method disable
    * Changes the state to `disabled`. If the proxy is already
    * enabled, this does nothing. This will also disable live
-   * sync (runs #disableLiveSync automatically).
+   * sync (runs #disableLiveSync automatically), unless the
+   * #offlineQueue is used. In that case, live sync operations
+   * are queued until the proxy is enabled again.
    */
   disable () {
     if (this._enabled) {
       this._enabled = false
       this.emit('disabled')
       this.emit('statechange', this.state)
-      this.disableLiveSync()
+      !this.offlineQueue && this.disableLiveSync()
+    }
+  }
+
+  /**
+   * @method flush
+   * Replay queued live sync operations in the order they occurred.
+   * This happens automatically when the proxy is enabled and when
+   * failed operations are retried. Calling this method forces an
+   * immediate attempt. Nothing happens while the proxy is disabled.
+   */
+  flush () {
+    clearTimeout(this.retryTimer)
+
+    if (this.disabled || this.outbox.length === 0) {
+      return
+    }
+
+    this.flushing = true
+    this.processQueue()
+  }
+
+  /**
+   * @method clearQueue
+   * Discard all queued live sync operations.
+   */
+  clearQueue () {
+    clearTimeout(this.retryTimer)
+    this.outbox = []
+    this.flushing = false
+  }
+
+  /**
+   * @method exportQueue
+   * Serialize the queued live sync operations (see #offlineQueue), so
+   * they can be persisted and restored with #importQueue.
+   * @return {Array}
+   * A JSON-compatible array of objects with `action` (the live sync method
+   * name), `id` (the record ID), `data` (the record data), `attempts` and
+   * `error` (the message of the last error) attributes.
+   */
+  exportQueue () {
+    return this.outbox.map((entry) => {
+      let record = entry.target
+
+      return {
+        action: entry.action,
+        id: record instanceof NGN.DATA.Entity ? NGN.coalesce(record.id) : null,
+        data: record instanceof NGN.DATA.Entity ? record.data : record,
+        attempts: entry.attempts,
+        error: entry.error === null ? null : entry.error.message
+      }
+    })
+  }
+
+  /**
+   * @method importQueue
+   * Restore live sync operations serialized by #exportQueue. The operations
+   * are added to the end of the queue and replayed immediately, unless the
+   * proxy is disabled (see #flush). Operations apply to the store record with the same
+   * ID. When the store does not contain the record (i.e. it was removed),
+   * a record is created from the serialized data.
+   * @param {Array} operations
+   * The serialized operations.
+   */
+  importQueue (operations) {
+    NGN.coalesce(operations, []).forEach((operation) => {
+      let record = null
+
+      if (this.type === 'model') {
+        record = this.store
+      } else if (operation.data !== null && operation.data !== undefined) {
+        if (operation.id !== null && operation.id !== undefined) {
+          record = NGN.coalesce(this.store._data.find((item) => item.id === operation.id))
+        }
+
+        if (record === null && this.store.model) {
+          let data = Object.assign({}, operation.data)
+
+          record = new this.store.model() // eslint-disable-line new-cap
+          operation.id !== null && operation.id !== undefined && (data[record.idAttribute] = operation.id)
+          record.load(data)
+        }
+
+        record = NGN.coalesce(record, operation.data)
+      }
+
+      let error = NGN.coalesce(operation.error)
+
+      this.enqueue(operation.action, record === null ? [] : [record], NGN.coalesce(operation.attempts, 0), error === null ? null : new DataProxyError(error))
+    })
+
+    !this.flushing && this.flush()
+  }
+
+  /**
+   * @method enqueue
+   * Add a live sync operation to the end of the queue.
+   * @param {string} action
+   * The live sync method name (ex: `createStoreRecord`).
+   * @param {Array} args
+   * The arguments passed to the live sync method.
+   * @param {number} [attempts=0]
+   * The number of attempts already made.
+   * @param {Error} [error]
+   * The error of the last attempt.
+   * @private
+   */
+  enqueue (action, args, attempts = 0, error = null) {
+    // Model operations always synchronize the entire model.
+    if (this.type === 'model') {
+      args = [this.store]
+    }
+
+    this.outbox.push({
+      action: action,
+      args: args,
+      target: NGN.coalesce(args[0]),
+      attempts: attempts,
+      error: error
+    })
+  }
+
+  /**
+   * @method processQueue
+   * Run the first queued operation. The next operation runs
+   * when this one succeeds (see #onSyncSuccess).
+   * @private
+   */
+  processQueue () {
+    if (this.outbox.length === 0) {
+      this.flushing = false
+      this.emit('queue.flushed')
+      return
+    }
+
+    if (this.disabled) {
+      this.flushing = false
+      return
+    }
+
+    const entry = this.outbox[0]
+
+    this[entry.action].apply(this, entry.args)
+  }
+
+  /**
+   * @method retryIn
+   * The backoff delay (in milliseconds) for the specified attempt.
+   * @param {number} attempts
+   * The number of attempts made so far.
+   * @return {number}
+   * @private
+   */
+  retryIn (attempts) {
+    return Math.min(this.retryDelay * Math.pow(2, Math.max(attempts - 1, 0)), this.maxRetryDelay)
+  }
+
+  /**
+   * @method isQueueHead
+   * Indicates the record (or model) is the target of the operation
+   * currently being replayed.
+   * @private
+   */
+  isQueueHead (record) {
+    return this.flushing && this.outbox.length > 0 && this.outbox[0].target === NGN.coalesce(record)
+  }
+
+  /**
+   * @method onSyncSuccess
+   * Responds to successful live sync operations.
+   * @private
+   */
+  onSyncSuccess (record) {
+    if (this.isQueueHead(record)) {
+      this.outbox.shift()
+      this.processQueue()
+    }
+  }
+
+  /**
+   * @method onSyncFailure
+   * Responds to failed live sync operations by queueing them for a retry.
+   * @private
+   */
+  onSyncFailure (action, err, record) {
+    if (this.isQueueHead(record)) {
+      let entry = this.outbox[0]
+
+      entry.attempts++
+      entry.error = err
+
+      if (entry.attempts >= this.retryLimit) {
+        let operation = this.pendingOperations[0]
+
+        this.outbox.shift()
+        this.emit('queue.failed', err, operation)
+        this.processQueue()
+
+        return
+      }
+
+      this.retryTimer = setTimeout(() => this.processQueue(), this.retryIn(entry.attempts))
+      return
+    }
+
+    let method
+
+    if (this.type === 'model') {
+      method = 'updateModelRecord'
+    } else if (record === null || record === undefined) {
+      method = 'clearStoreRecords'
+    } else {
+      method = action + 'StoreRecord'
+    }
+
+    this.enqueue(method, [record], 1, err)
+
+    if (!this.flushing) {
+      clearTimeout(this.retryTimer)
+      this.retryTimer = setTimeout(() => this.flush(), this.retryIn(1))
     }
   }
 
@@ -173,7 +536,7 @@ class NgnDataProxy extends NGN.EventEmitter {
     return {
       create: this.store._created,
       update: this.store.records.filter(function (record) {
-        if (me.store._created.indexOf(record) < 0 && me.store._deleted.indexOf(record) < 0) {
+        if (me.store._created.indexOf(record) >= 0 || me.store._deleted.indexOf(record) >= 0) {
           return false
         }
         return record.modified
@@ -184,12 +547,203 @@ class NgnDataProxy extends NGN.EventEmitter {
     }
   }
 
-  save () {
+  /**
+   * @method save
+   * Persist the #changelog to the data storage system. Proxy
+   * implementations must override this method.
+   * @param {Function} [callback]
+   * Executed when the save is complete. This receives an error
+   * (or `null`) and an array of the records that were persisted.
+   * @return {Promise}
+   * Resolves with an array of the records that were persisted. Rejects
+   * with a DataProxyError (or a more specific exception, depending on
+   * the proxy implementation).
+   */
+  save (callback) {
+    return this.defer(callback, (resolve) => resolve([]))
+  }
+
+  /**
+   * @method loadData
+   * Load fetched data into the store (replacing any existing records)
+   * or model. Live sync is suspended while the data is loaded, so the
+   * fetched data is not sent back to the data storage system.
+   * @param {Array|Object} data
+   * An array of records (store) or a data object (model).
+   * @private
+   */
+  loadData (data) {
+    const live = this.liveSyncEnabled
 
+    live && this.switchSync('off')
+
+    if (this.type === 'store') {
+      this.store.reload(NGN.coalesce(data, []))
+      this.store._data.forEach((record) => {
+        record.isNew = false
+        this.versions.set(record, record.data)
+      })
+    } else {
+      this.store.load(NGN.coalesce(data, {}))
+      this.store.isNew = false
+      this.versions.set(this.store, this.store.data)
+    }
+
+    live && this.switchSync('on')
   }
 
-  fetch () {
+  /**
+   * @method setPersisted
+   * Indicates a record change has been committed to the data storage
+   * system. The record is marked as unmodified and removed from the
+   * #changelog.
+   * @param {NGN.DATA.Model} record
+   * The record that was persisted.
+   * @private
+   */
+  setPersisted (record) {
+    record.isNew = false
+    record.setUnmodified()
+
+    if (record.deleted) {
+      this.versions.delete(record)
+    } else {
+      this.versions.set(record, record.data)
+    }
+
+    if (this.type === 'store') {
+      let i = this.store._created.indexOf(record)
+      i >= 0 && this.store._created.splice(i, 1)
+
+      i = this.store._deleted.indexOf(record)
+      i >= 0 && this.store._deleted.splice(i, 1)
+    }
+  }
+
+  /**
+   * @method fetch
+   * Retrieve data from the data storage system and load it into the
+   * store/model. Proxy implementations must override this method.
+   * @param {Function} [callback]
+   * Executed when the fetch is complete. This receives an error
+   * (or `null`) and the store records (or model).
+   * @return {Promise}
+   * Resolves with the store records (or model). Rejects with a
+   * DataProxyError (or a more specific exception, depending on the
+   * proxy implementation).
+   */
+  fetch (callback) {
     console.warn('Fetch should be overridden by a proxy implementation class.')
+    return this.defer(callback, (resolve) => resolve(this.type === 'store' ? this.store.records : this.store))
+  }
+
+  /**
+   * @method defer
+   * Creates the Promise returned by asynchronous operations, such as
+   * #fetch and #save. When a callback is provided, it is executed once
+   * the Promise settles. The callback receives an error (or `null`) and
+   * the result.
+   * @param {Function} [callback]
+   * The optional callback.
+   * @param {Function} executor
+   * The Promise executor, which receives `resolve` and `reject` functions.
+   * @return {Promise}
+   * @private
+   */
+  defer (callback, executor) {
+    const promise = new Promise(executor)
+
+    if (NGN.isFn(callback)) {
+      promise.then((result) => callback(null, result), (err) => callback(err))
+    }
+
+    return promise
+  }
+
+  /**
+   * @method reconcile
+   * Detects and resolves a conflict between a modified record and its
+   * remote version (see #conflictResolution). If a conflict is resolved
+   * using the remote version (or a merge), the resolved data is loaded
+   * into the record.
+   * @param {NGN.DATA.Model} record
+   * The local record.
+   * @param {Object} remote
+   * The remote version of the record data. If this is `null` (i.e. the
+   * record does not exist remotely), there is no conflict.
+   * @return {boolean}
+   * Returns `true` if the record should be saved, or `false` if the
+   * remote version was kept (nothing needs to be saved).
+   * @fires conflict
+   * @private
+   */
+  reconcile (record, remote) {
+    const base = this.versions.get(record)
+
+    if (this.conflictResolution === null || base === undefined || remote === null || typeof remote !== 'object') {
+      return true
+    }
+
+    // IDs are not always part of the record data, so they are ignored.
+    const fingerprint = (data) => {
+      let keys = Object.keys(data).filter((key) => key !== record.idAttribute).sort()
+
+      return NGN.DATA.util.checksum(JSON.stringify(keys.map((key) => [key, data[key]])))
+    }
+
+    if (fingerprint(remote) === fingerprint(base)) {
+      return true
+    }
+
+    const local = record.data
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b)
+    let resolved
+
+    switch (this.conflictResolution) {
+      case 'client-wins':
+        resolved = local
+        break
+
+      case 'server-wins':
+        resolved = null
+        break
+
+      case 'merge':
+        resolved = {}
+
+        Object.keys(remote).concat(Object.keys(local)).forEach((field) => {
+          if (resolved.hasOwnProperty(field)) {
+            return
+          }
+
+          resolved[field] = !local.hasOwnProperty(field) || (same(local[field], base[field]) && remote.hasOwnProperty(field)) ? remote[field] : local[field]
+        })
+
+        break
+
+      default:
+        resolved = NGN.coalesce(this.conflictResolution(local, remote, base, record))
+    }
+
+    this.emit('conflict', {
+      record: record,
+      local: local,
+      remote: remote,
+      base: base,
+      resolved: resolved
+    })
+
+    if (resolved === null) {
+      record.load(remote)
+      this.setPersisted(record)
+      return false
+    }
+
+    if (resolved !== local) {
+      record.load(resolved)
+    }
+
+    return true
   }
 
   /**
@@ -231,27 +785,43 @@ class NgnDataProxy extends NGN.EventEmitter {
 
   // Helper method.
   switchSync (fn) {
+    // Handlers are bound to the proxy so implementations can reference
+    // the proxy as `this`. The same function reference must be used when
+    // turning the listeners off.
+    const handler = (name) => {
+      this.syncHandlers[name] = this.syncHandlers[name] || ((...args) => {
+        // Preserve the order of operations while queued changes are pending.
+        if (this.offlineQueue && (this.disabled || this.outbox.length > 0)) {
+          return this.enqueue(name, args)
+        }
+
+        this[name](...args)
+      })
+
+      return this.syncHandlers[name]
+    }
+
     if (this.type === 'model') {
       // Basic CRUD (-R)
-      this.store[fn]('field.create', this.createModelRecord)
-      this.store[fn]('field.update', this.updateModelRecord)
-      this.store[fn]('field.remove', this.deleteModelRecord)
+      this.store[fn]('field.create', handler('createModelRecord'))
+      this.store[fn]('field.update', handler('updateModelRecord'))
+      this.store[fn]('field.remove', handler('deleteModelRecord'))
 
       // relationship.create is unncessary because no data is available
       // when a relationship is created. All related data will trigger a
       // `field.update` event.
-      this.store[fn]('relationship.remove', this.deleteModelRecord)
+      this.store[fn]('relationship.remove', handler('deleteModelRecord'))
     } else {
       // Persist new records
-      this.store[fn]('record.create', this.createStoreRecord)
-      this.store[fn]('record.restored', this.createStoreRecord)
+      this.store[fn]('record.create', handler('createStoreRecord'))
+      this.store[fn]('record.restored', handler('createStoreRecord'))
 
       // Update existing records
-      this.store[fn]('record.update', this.updateStoreRecord)
+      this.store[fn]('record.update', handler('updateStoreRecord'))
 
       // Remove old records
-      this.store[fn]('record.delete', this.deleteStoreRecord)
-      this.store[fn]('clear', this.clearStoreRecords)
+      this.store[fn]('record.delete', handler('deleteStoreRecord'))
+      this.store[fn]('clear', handler('clearStoreRecords'))
     }
   }
 
@@ -264,7 +834,7 @@ class NgnDataProxy extends NGN.EventEmitter {
    * @private
    */
   createModelRecord () {
-    this.shouldOverride('createModelRecord')
+    this.constructor.shouldOverride('createModelRecord')
   }
 
   /**
@@ -276,7 +846,7 @@ class NgnDataProxy extends NGN.EventEmitter {
    * @private
    */
   updateModelRecord () {
-    this.shouldOverride('updateModelRecord')
+    this.constructor.shouldOverride('updateModelRecord')
   }
 
   /**
@@ -288,7 +858,7 @@ class NgnDataProxy extends NGN.EventEmitter {
    * @private
    */
   deleteModelRecord () {
-    this.shouldOverride('deleteModelRecord')
+    this.constructor.shouldOverride('deleteModelRecord')
   }
 
   /**
@@ -300,7 +870,7 @@ class NgnDataProxy extends NGN.EventEmitter {
    * @private
    */
   createStoreRecord () {
-    this.shouldOverride('createStoreRecord')
+    this.constructor.shouldOverride('createStoreRecord')
   }
 
   /**
@@ -312,7 +882,7 @@ class NgnDataProxy extends NGN.EventEmitter {
    * @private
    */
   updateStoreRecord () {
-    this.shouldOverride('updateStoreRecord')
+    this.constructor.shouldOverride('updateStoreRecord')
   }
 
   /**
@@ -324,7 +894,7 @@ class NgnDataProxy extends NGN.EventEmitter {
    * @private
    */
   deleteStoreRecord () {
-    this.shouldOverride('deleteStoreRecord')
+    this.constructor.shouldOverride('deleteStoreRecord')
   }
 
   /**
@@ -336,7 +906,7 @@ class NgnDataProxy extends NGN.EventEmitter {
    * @private
    */
   clearStoreRecords () {
-    this.shouldOverride('clearStoreRecords')
+    this.constructor.shouldOverride('clearStoreRecords')
   }
 
   /**
@@ -360,5 +930,11 @@ class NgnDataProxy extends NGN.EventEmitter {
   }
 }
 
+NGN.createException({
+  name: 'DataProxyError',
+  type: 'DataProxyError',
+  message: 'A data proxy operation failed.'
+})
+
 NGN.DATA.Proxy = NgnDataProxy
 // Object.defineProperty(NGN.DATA, 'Proxy', NGN.const(NgnDataProxy))
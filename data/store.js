@@ -37,6 +37,40 @@ class NgnDataStore extends NGN.EventEmitter {
       // The raw indexes
       _index: NGN.private(cfg.index || []),
 
+      // The compare function of the persisted sort (see #sort)
+      _sorter: NGN.private(null),
+
+      // The active transaction (see #transaction)
+      _transaction: NGN.private(null),
+
+      // The event handlers applied to each record (see #listen)
+      _listeners: NGN.private(new WeakMap()),
+
+      // The keys identifying each record in snapshots (see #createSnapshot)
+      _snapshotKeys: NGN.private(new WeakMap()),
+
+      /**
+       * @cfg {Array} [sortedIndex]
+       * The #model data fields to maintain sorted indexes for
+       * (see #createSortedIndex).
+       */
+      // Sorted indexes ({field: [[value, recordNumber], ...]})
+      _sortedIndex: NGN.private(NGN.coalesce(cfg.sortedIndex, [])),
+
+      // The fields of compound indexes ({indexName: [field, ...]})
+      _compoundIndex: NGN.private({}),
+
+      // Unique index constraints ({indexName: {errorOnDuplicate: boolean}})
+      _uniqueIndex: NGN.private({}),
+
+      /**
+       * @cfg {Array} [textIndex]
+       * The #model data fields to maintain full-text indexes for
+       * (see #createTextIndex).
+       */
+      // Full-text indexes ({field: {tokens: Map(token => Map(record => count)), lengths: Map(record => tokenCount)}})
+      _textIndex: NGN.private(NGN.coalesce(cfg.textIndex, [])),
+
       // Placeholders to track the data that's added/removed
       // during the lifespan of the store. Modified data is
       // tracked within each model record.
@@ -203,7 +237,23 @@ class NgnDataStore extends NGN.EventEmitter {
        * Contains snapshots.
        * @private
        */
-      snapshotarchive: NGN.private(null)
+      snapshotarchive: NGN.private(null),
+
+      /**
+       * @cfg {Number} [maxSnapshots=-1]
+       * The maximum number of snapshots retained in the archive (see #snapshot).
+       * When the limit is reached, the oldest snapshot is discarded.
+       * `-1` = Infinite (no limit).
+       */
+      maxSnapshots: NGN.private(NGN.coalesce(cfg.maxSnapshots, -1)),
+
+      /**
+       * @cfg {Number} [snapshotTtl=-1]
+       * The number of milliseconds snapshots are retained in the archive
+       * (see #snapshot). Expired snapshots are discarded when a new snapshot
+       * is created. `-1` = Infinite (no TTL).
+       */
+      snapshotTtl: NGN.private(NGN.coalesce(cfg.snapshotTtl, -1))
     })
 
     if (this.lifo > 0 && this.fifo > 0) {
@@ -225,6 +275,23 @@ class NgnDataStore extends NGN.EventEmitter {
 
     this._index = obj
 
+    obj = {}
+    this._sortedIndex.forEach(field => {
+      obj[field] = []
+    })
+
+    this._sortedIndex = obj
+
+    obj = {}
+    this._textIndex.forEach(field => {
+      obj[field] = {
+        tokens: new Map(),
+        lengths: new Map()
+      }
+    })
+
+    this._textIndex = obj
+
     const events = [
       'record.duplicate',
       'record.create',
@@ -281,6 +348,50 @@ class NgnDataStore extends NGN.EventEmitter {
     }
   }
 
+  /**
+   * @method fetch
+   * Retrieve records using the #proxy (see NGN.DATA.Proxy#fetch).
+   * @param {Function} [callback]
+   * Executed when the fetch is complete. This receives an error
+   * (or `null`) and the store records.
+   * @return {Promise}
+   * Resolves with the store records.
+   * Rejects with a DataProxyError if no #proxy is configured.
+   */
+  fetch (callback) {
+    if (this.proxy === null) {
+      let promise = Promise.reject(new DataProxyError('Cannot fetch. No proxy is configured for the store.'))
+
+      NGN.isFn(callback) && promise.catch(callback)
+
+      return promise
+    }
+
+    return this.proxy.fetch(callback)
+  }
+
+  /**
+   * @method save
+   * Persist changes using the #proxy (see NGN.DATA.Proxy#save).
+   * @param {Function} [callback]
+   * Executed when the save is complete. This receives an error
+   * (or `null`) and an array of the records that were persisted.
+   * @return {Promise}
+   * Resolves with an array of the records that were persisted.
+   * Rejects with a DataProxyError if no #proxy is configured.
+   */
+  save (callback) {
+    if (this.proxy === null) {
+      let promise = Promise.reject(new DataProxyError('Cannot save. No proxy is configured for the store.'))
+
+      NGN.isFn(callback) && promise.catch(callback)
+
+      return promise
+    }
+
+    return this.proxy.save(callback)
+  }
+
   /**
    * @property {array} snapshots
    * Contains the data snapshot of the entire store.
@@ -450,6 +561,10 @@ class NgnDataStore extends NGN.EventEmitter {
       }
     }
 
+    if (!this.satisfiesUniqueIndexes(record)) {
+      return
+    }
+
     // Handle special record count processing
     if (this.lifo > 0 && this._data.length + 1 > this.lifo) {
       this.remove(this._data.length - 1)
@@ -458,8 +573,18 @@ class NgnDataStore extends NGN.EventEmitter {
     }
 
     this.listen(record)
-    this.applyIndices(record, this._data.length)
-    this._data.push(record)
+
+    // Sorted stores add records in sorted order (bulk loads are sorted once complete).
+    let position = this._sorter !== null && !this._loading ? this.locateSorted(record) : this._data.length
+
+    if (position === this._data.length) {
+      this.applyIndices(record, this._data.length)
+      this._data.push(record)
+    } else {
+      this.shiftIndices(position)
+      this._data.splice(position, 0, record)
+      this.applyIndices(record, position)
+    }
     !this._loading && this._created.indexOf(record) < 0 && this._created.push(record)
 
     if (!NGN.coalesce(suppressEvent, false)) {
@@ -546,7 +671,8 @@ class NgnDataStore extends NGN.EventEmitter {
   insert (index, data, suppressEvent = false, position = 'after') {
     let record = this.add(data, true)
     if (record) {
-      this.move(this._data.length - 1, index, position, false)
+      // Sorted stores have already placed the record in its sorted position.
+      this._sorter === null && this.move(this._data.indexOf(record), index, position, false)
 
       if (!suppressEvent) {
         this.emit('record.create', record)
@@ -591,38 +717,74 @@ class NgnDataStore extends NGN.EventEmitter {
    * @private
    */
   listen (record) {
-    record.on('field.update', delta => {
-      this.updateIndice(delta.field, delta.old, delta.new, this._data.indexOf(record))
-      this.emit('record.update', record, delta)
-    })
+    this.unlisten(record)
 
-    record.on('field.delete', delta => {
-      this.updateIndice(delta.field, delta.old, undefined, this._data.indexOf(record))
-      this.emit('record.update', record, delta)
-    })
+    let handlers = {
+      'field.update': delta => {
+        // Changes that violate a unique index are rolled back.
+        let violation = this.getUniqueIndexViolation(record, delta.field)
 
-    record.on('field.invalid', () => {
-      this.emit('record.invalid', record)
-    })
+        if (violation !== null) {
+          let position = record.changelog.indexOf(delta)
 
-    record.on('field.valid', () => {
-      this.emit('record.valid', record)
-    })
+          record.setSilent(delta.field, delta.old)
+          position >= 0 && record.changelog.splice(position, 1)
 
-    record.on('expired', () => {
-      if (!record.expired) {
-        return
-      }
+          this.emit('record.duplicate', record)
+
+          if (this._uniqueIndex[violation].errorOnDuplicate) {
+            throw new Error(`Cannot update duplicate record (unique index: ${violation}).`)
+          }
+
+          return
+        }
+
+        this.updateIndice(delta.field, delta.old, delta.new, this._data.indexOf(record))
+        this.reposition(record)
+        this.emit('record.update', record, delta)
+      },
+
+      'field.delete': delta => {
+        this.updateIndice(delta.field, delta.old, undefined, this._data.indexOf(record))
+        this.reposition(record)
+        this.emit('record.update', record, delta)
+      },
+
+      'field.invalid': () => {
+        this.emit('record.invalid', record)
+      },
+
+      'field.valid': () => {
+        this.emit('record.valid', record)
+      },
+
+      'record.invalid': rule => {
+        this.emit('record.invalid', record, rule)
+      },
+
+      'record.valid': rule => {
+        this.emit('record.valid', record, rule)
+      },
+
+      expired: () => {
+        if (!record.expired) {
+          return
+        }
 
-      this.emit('record.expired', record)
+        this.emit('record.expired', record)
 
-      if (this.autoRemoveExpiredRecords) {
-        const index = this.indexOf(record)
-        if (index >= 0) {
-          this.remove(record)
+        if (this.autoRemoveExpiredRecords) {
+          const index = this.indexOf(record)
+          if (index >= 0) {
+            this.remove(record)
+          }
         }
       }
-    })
+    }
+
+    Object.keys(handlers).forEach(eventName => record.on(eventName, handlers[eventName]))
+
+    this._listeners.set(record, handlers)
 
     // record.on('append.changelog', (delta) => {
     //   this.changelog.push(delta)
@@ -635,6 +797,22 @@ class NgnDataStore extends NGN.EventEmitter {
     // })
   }
 
+  /**
+   * @method unlisten
+   * Stop responding to the events of a record (see #listen).
+   * @param {NGN.DATA.Model} record
+   * The record to stop listening to.
+   * @private
+   */
+  unlisten (record) {
+    let handlers = this._listeners.get(record)
+
+    if (handlers) {
+      Object.keys(handlers).forEach(eventName => record.off(eventName, handlers[eventName]))
+      this._listeners.delete(record)
+    }
+  }
+
   /**
    * @method bulk
    * Bulk load data.
@@ -657,6 +835,11 @@ class NgnDataStore extends NGN.EventEmitter {
     this._deleted = []
     this._created = []
 
+    if (this._sorter !== null) {
+      this._data = this.stableSort(this._data, this._sorter)
+      this.reindex()
+    }
+
     // Slight delay to prevent faster systems from
     // responding before data is written to memory.
     if (event !== null) {
@@ -693,6 +876,223 @@ class NgnDataStore extends NGN.EventEmitter {
     this.bulk('reload', array, fast)
   }
 
+  /**
+   * @method emit
+   * Trigger an event. Record events (`record.*`, `sort` and `clear`)
+   * triggered during a #transaction are deferred until the transaction
+   * is committed. Other events are triggered immediately.
+   * @param {string} eventName
+   * @private
+   */
+  emit (eventName) {
+    let transaction = this._transaction
+
+    if (!transaction || !(/^record\./.test(eventName) || eventName === 'sort' || eventName === 'clear')) {
+      return super.emit.apply(this, arguments)
+    }
+
+    let args = NGN.slice(arguments)
+
+    // Remember the original value of modified fields (for rollbacks).
+    if (args[0] === 'record.update' && args[2] && args[2].field) {
+      let record = args[1]
+      let state = transaction.records.get(record)
+
+      if (!state) {
+        // The change is already part of the record changelog.
+        state = {
+          values: {},
+          changelog: Math.max(record.changelog.length - 1, 0)
+        }
+
+        transaction.records.set(record, state)
+      }
+
+      if (!state.values.hasOwnProperty(args[2].field)) {
+        state.values[args[2].field] = args[2].old
+      }
+    }
+
+    transaction.events.push(args)
+  }
+
+  /**
+   * @method transaction
+   * Apply several changes (#add, #remove, record modifications, #move,
+   * etc) as a single unit. If the transaction function throws an error,
+   * or if any record that was added or modified is invalid when the
+   * function completes, every change is rolled back.
+   *
+   * Events are deferred until the transaction is committed. Then the
+   * events are triggered (in order), followed by a `transaction.commit`
+   * event. Events for records that were added and removed within the
+   * same transaction are discarded. No record events are triggered when
+   * a transaction is rolled back, and records added by the transaction
+   * are detached from the store.
+   *
+   * ```js
+   * People.transaction((store) => {
+   *   store.add({ fname: 'John', lname: 'Doe' })
+   *   store.remove(store.first)
+   *   store.last.age = 38
+   * })
+   * ```
+   *
+   * If the transaction function returns a Promise, the transaction is
+   * committed when the Promise resolves, or rolled back if it rejects.
+   * Any changes made to the store in the meantime are part of the
+   * transaction. Transactions within a transaction are part of the
+   * outer transaction.
+   * @param {function} transaction
+   * The function that applies the changes. The store is passed as
+   * an argument.
+   * @return {any}
+   * The value returned by the transaction function.
+   * @throws {DataTransactionError}
+   * Thrown (or rejected) when records are invalid. The invalid records are
+   * available in the `records` attribute of the error. Errors thrown by the
+   * transaction function are rethrown after the changes are rolled back.
+   * @fires transaction.commit
+   * Triggered when a transaction is committed. An object with `created`,
+   * `updated` and `deleted` arrays of records is passed to handlers.
+   * @fires transaction.rollback
+   * Triggered when a transaction is rolled back. The error is passed to
+   * handlers.
+   */
+  transaction (fn) {
+    if (this._transaction) {
+      return fn(this)
+    }
+
+    let transaction = {
+      data: this._data.slice(0),
+      created: this._created.slice(0),
+      deleted: this._deleted.slice(0),
+      softarchive: this._softarchive.slice(0),
+      sorter: this._sorter,
+      records: new Map(),
+      events: []
+    }
+
+    this._transaction = transaction
+
+    let result
+
+    try {
+      result = fn(this)
+    } catch (e) {
+      this.rollback(transaction, e)
+      throw e
+    }
+
+    if (result && NGN.isFn(result.then)) {
+      return result.then((value) => {
+        this.commit(transaction)
+        return value
+      }, (e) => {
+        this._transaction === transaction && this.rollback(transaction, e)
+        throw e
+      })
+    }
+
+    this.commit(transaction)
+
+    return result
+  }
+
+  /**
+   * @method commit
+   * Complete a #transaction. If any new/modified record is invalid, the
+   * transaction is rolled back instead.
+   * @param {object} transaction
+   * The transaction state.
+   * @throws {DataTransactionError}
+   * @fires transaction.commit
+   * @private
+   */
+  commit (transaction) {
+    const involved = (eventName) => {
+      return transaction.events.filter(args => args[0] === eventName).map(args => args[1])
+    }
+
+    let added = involved('record.create')
+    let removed = involved('record.delete')
+    let discarded = added.filter(record => removed.indexOf(record) >= 0)
+
+    let summary = {
+      created: added.filter(record => discarded.indexOf(record) < 0),
+      updated: [],
+      deleted: removed.filter(record => discarded.indexOf(record) < 0 && transaction.data.indexOf(record) >= 0)
+    }
+
+    transaction.records.forEach((state, record) => {
+      if (summary.created.indexOf(record) < 0 && this._data.indexOf(record) >= 0) {
+        summary.updated.push(record)
+      }
+    })
+
+    let invalid = summary.created.concat(summary.updated).filter(record => !record.valid)
+
+    if (invalid.length > 0) {
+      let error = new DataTransactionError(`Transaction rolled back. ${invalid.length} record(s) are invalid.`)
+      error.records = invalid
+
+      this.rollback(transaction, error)
+
+      throw error
+    }
+
+    this._transaction = null
+
+    transaction.events.forEach(args => {
+      if (args[1] === undefined || discarded.indexOf(args[1]) < 0) {
+        this.emit.apply(this, args)
+      }
+    })
+
+    this.emit('transaction.commit', summary)
+  }
+
+  /**
+   * @method rollback
+   * Undo the changes of a #transaction.
+   * @param {object} transaction
+   * The transaction state.
+   * @param {Error} error
+   * The reason for the rollback.
+   * @fires transaction.rollback
+   * @private
+   */
+  rollback (transaction, error) {
+    this._transaction = null
+
+    // Detach records that were added by the transaction.
+    transaction.events
+      .filter(args => args[0] === 'record.create')
+      .map(args => args[1])
+      .concat(this._data)
+      .forEach(record => transaction.data.indexOf(record) < 0 && this.unlisten(record))
+
+    transaction.records.forEach((state, record) => {
+      Object.keys(state.values).forEach(field => record.setSilent(field, state.values[field]))
+      record.changelog.splice(state.changelog)
+    })
+
+    transaction.data.forEach(record => {
+      this._data.indexOf(record) < 0 && record.deleted && (record.isDestroyed = false)
+    })
+
+    this._data = transaction.data
+    this._created = transaction.created
+    this._deleted = transaction.deleted
+    this._softarchive = transaction.softarchive
+    this._sorter = transaction.sorter
+
+    this.reindex()
+
+    this.emit('transaction.rollback', error)
+  }
+
   /**
    * @method indexOf
    * Find the index number of a record within the collection.
@@ -776,7 +1176,7 @@ class NgnDataStore extends NGN.EventEmitter {
 
     if (removedRecord.length > 0) {
       removedRecord = removedRecord[0]
-      this.unapplyIndices(dataIndex)
+      this.unapplyIndices(dataIndex, removedRecord)
 
       if (this.softDelete) {
         if (this.softDeleteTtl >= 0) {
@@ -932,9 +1332,7 @@ class NgnDataStore extends NGN.EventEmitter {
 
     this._data = []
 
-    Object.keys(this._index).forEach(index => {
-      this._index[index] = []
-    })
+    this.clearIndices()
 
     this.emit('clear')
   }
@@ -974,15 +1372,39 @@ class NgnDataStore extends NGN.EventEmitter {
    * first attribute must match the value exactly whereas `lastname` will
    * match against the regular expression.
    *
+   * Query objects also support MongoDB-style operators:
+   *
+   * ```js
+   * MyStore.find({
+   *   age: { $gte: 21, $lt: 65 },
+   *   status: { $in: ['active', 'pending'] },
+   *   nickname: { $exists: true },
+   *   'address.city': { $regex: '^san', $options: 'i' },
+   *   $or: [{ role: 'admin' }, { role: { $ne: 'guest' } }]
+   * })
+   * ```
+   *
+   * The supported field operators are `$eq`, `$ne`, `$gt`, `$gte`, `$lt`,
+   * `$lte`, `$in`, `$nin`, `$regex` (with optional `$options`), `$exists`,
+   * and `$not`. The `$and`, `$or`, and `$nor` operators accept an array of
+   * queries, while `$not` also accepts a single query at the top level.
+   *
+   * Dotted field names (i.e. `address.city`) are resolved through nested
+   * objects and relationship fields (see NGN.DATA.Model#relationships).
+   * When a path leads to a store or an array, the condition matches if
+   * _any_ of the records/elements match.
+   *
    * If this parameter is `undefined` or `null`, all records will be
    * returned (i.e. no search criteria specified, so return everything).
    *
-   * If you're using a large dataset, indexing can speed up queries. To take
-   * full advantage of indexing, all of the query elements should be indexed.
+   * If you're using a large dataset, indexing can speed up queries. Exact
+   * matches, `$eq`, and `$in` conditions on indexed fields (see #createIndex)
+   * are resolved using the index before the remaining conditions are checked.
+   * Sorted indexes (see #createSortedIndex) also resolve `$gt`, `$gte`,
+   * `$lt`, and `$lte` conditions.
    * For example, if you have `lastname`, 'firstname' in your query and
-   * both of those are indexed, the response time will be substantially faster
-   * than if they're not (in large data sets). However; if one of those
-   * elements is _not_ indexed, performance may not increase.
+   * either of those is indexed, the response time will be substantially faster
+   * than if they're not (in large data sets).
    * @param {boolean} [ignoreFilters=false]
    * Set this to `true` to search the full unfiltered record set.
    * @return {NGN.DATA.Model|array|null}
@@ -1033,53 +1455,13 @@ class NgnDataStore extends NGN.EventEmitter {
           return null
         }
 
-        let match = []
-        let noindex = []
-        let queryKeys = Object.keys(query)
-
-        queryKeys.forEach(field => {
-          let index = this.getIndices(field, query[field])
-
-          if (index) {
-            match = match.concat(index || [])
-          } else {
-            field !== null && noindex.push(field)
-          }
-        })
-
-        // Deduplicate
-        match.filter(function (index, i) {
-          return match.indexOf(index) === i
-        })
-
-        // Get non-indexed matches
-        if (noindex.length > 0) {
-          resultSet = this._data.filter(function (record, i) {
-            if (match.indexOf(i) >= 0) {
-              return false
-            }
-
-            for (let x = 0; x < noindex.length; x++) {
-              if (record[noindex[x]] !== query[noindex[x]]) {
-                return false
-              }
-            }
-
-            return true
-          })
-        }
+        let candidates = this.getQueryCandidates(query)
 
-        // If a combined indexable + nonindexable query
-        resultSet = resultSet.concat(match.map(index => {
-          return this._data[index]
-        })).filter(function (record) {
-          for (let y = 0; y < queryKeys.length; y++) {
-            if (query[queryKeys[y]] !== record[queryKeys[y]]) {
-              return false
-            }
-          }
+        // Index lookups return records in value order, so restore the record order.
+        candidates !== null && candidates.sort((a, b) => a - b)
 
-          return true
+        resultSet = (candidates === null ? this._data : candidates.map(index => this._data[index])).filter(record => {
+          return record !== undefined && this.matches(record, query)
         })
         break
       default:
@@ -1098,71 +1480,408 @@ class NgnDataStore extends NGN.EventEmitter {
   }
 
   /**
-   * @method applyFilters
-   * Apply filters to a data set.
-   * @param {array} data
-   * The array of data to apply filters to.
-   * @private
+   * @method page
+   * Retrieve a page of #records. Pages honor the active filters and the
+   * order of the records (see #sort).
+   *
+   * ```js
+   * People.page(2, 50) // Records 51-100
+   * ```
+   *
+   * To page through a store as it changes, use a #cursor.
+   * @param {number} page
+   * The page number (starting at `1`).
+   * @param {number} [size=25]
+   * The number of records per page.
+   * @param {boolean} [ignoreFilters=false]
+   * Set this to `true` to page through the full unfiltered record set.
+   * @return {array}
+   * The records of the page. Pages beyond the last page are empty.
    */
-  applyFilters (data) {
-    if (this._filters.length === 0) {
-      return data
+  page (page, size = 25, ignoreFilters = false) {
+    if (page < 1 || size < 1) {
+      return []
     }
 
-    this._filters.forEach(function (filter) {
-      data = data.filter(filter)
-    })
+    let records = ignoreFilters ? this._data : this.records
 
-    return data
+    return records.slice((page - 1) * size, page * size)
   }
 
   /**
-   * @method addFilter
-   * Add a filter to the record set.
-   * @param {function} fn
-   * The filter function. This function should comply
-   * with the [Array.filter](https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/filter) specification,
-   * returning a boolean value.
-   * The item passed to the filter will be the NGN.DATA.Model specified
-   * in the cfg#model.
-   * @fires filter.create
-   * Fired when a filter is created.
+   * @method cursor
+   * Create a NGN.DATA.Cursor to page through the #records. The cursor
+   * tracks changes to the store, so it always reflects the current
+   * records, filters and order.
+   *
+   * ```js
+   * let cursor = People.cursor(50)
+   *
+   * render(cursor.records) // Page 1
+   *
+   * while (cursor.hasMore) {
+   *   render(cursor.next())
+   * }
+   * ```
+   * @param {number} [size=25]
+   * The number of records per page.
+   * @param {boolean} [ignoreFilters=false]
+   * Set this to `true` to page through the full unfiltered record set.
+   * @return {NGN.DATA.Cursor}
    */
-  addFilter (fn) {
-    this._filters.push(fn)
-    this.emit('filter.create', fn)
+  cursor (size = 25, ignoreFilters = false) {
+    return new NGN.DATA.Cursor(this, {
+      size: size,
+      ignoreFilters: ignoreFilters
+    })
   }
 
   /**
-   * @method removeFilter
-   * Remove a filter from the record set.
-   * @param {function|index} filter
-   * This can be the function which was originally passed to
-   * the #addFilter method, or the zero-based #filters index
-   * @param {boolean} [suppressEvents=false]
-   * Prevent events from firing one the creation of the filter.
-   * @fires filter.delete
-   * Fired when a filter is removed.
+   * @method view
+   * Create a live, read-only NGN.DATA.View of the records matching a
+   * query. The view updates itself as records of this store are
+   * created, modified, removed or moved.
+   *
+   * ```js
+   * let Admins = People.view({ role: 'admin' }, { lname: 'asc' })
+   *
+   * Admins.on('record.create', (record) => console.log(record.lname, 'is now an admin.'))
+   * ```
+   * @param {object|function} [query]
+   * A query object (see #find) or a filter function. If this is not
+   * provided, every record is included.
+   * @param {function|object} [sort]
+   * The order of the records in the view (see #sort). If this is not
+   * provided, records are kept in the same order as this store.
+   * @return {NGN.DATA.View}
    */
-  removeFilter (fn, suppressEvents) {
-    suppressEvents = NGN.coalesce(suppressEvents, false)
-
-    let removed = []
-
-    if (typeof fn === 'number') {
-      removed = this._filters.splice(fn, 1)
-    } else {
-      removed = this._filters.splice(this._filters.indexOf(fn), 1)
-    }
-
-    if (removed.length > 0 && !suppressEvents) {
-      this.emit('filter.delete', removed[0])
-    }
+  view (query = null, sort = null) {
+    return new NGN.DATA.View(this, query, sort)
   }
 
   /**
-   * @method clearFilters
-   * Remove all filters.
+   * @method getQueryCandidates
+   * Use the indexes to identify the records that may satisfy a query.
+   * Only exact matches, `$eq`, and `$in` conditions on indexed fields,
+   * and range conditions on sorted indexes, are considered. Candidates still need to be checked with #matches.
+   * @param {object} query
+   * The query object (see #find).
+   * @return {array}
+   * The record index numbers, or `null` if the query cannot use an index.
+   * @private
+   */
+  getQueryCandidates (query) {
+    let candidates = null
+
+    Object.keys(query).forEach(field => {
+      let condition = query[field]
+
+      if (this._sortedIndex.hasOwnProperty(field)) {
+        let range = this.isQueryOperator(condition) ? condition : { $eq: condition }
+        let matches = this.getRangeIndices(field, range)
+
+        if (matches !== null) {
+          candidates = candidates === null ? matches : candidates.filter(index => matches.indexOf(index) >= 0)
+          return
+        }
+      }
+
+      if (!this._index.hasOwnProperty(field)) {
+        return
+      }
+
+      let values
+
+      if (this.isQueryOperator(condition)) {
+        if (condition.hasOwnProperty('$eq')) {
+          values = [condition.$eq]
+        } else if (Array.isArray(condition.$in) && !condition.$in.some(value => value instanceof RegExp)) {
+          values = condition.$in
+        } else {
+          return
+        }
+      } else if (condition instanceof RegExp || typeof condition === 'object') {
+        return
+      } else {
+        values = [condition]
+      }
+
+      let matches = []
+
+      values.forEach(value => {
+        this.getIndices(field, value).forEach(index => {
+          matches.indexOf(index) < 0 && matches.push(index)
+        })
+      })
+
+      candidates = candidates === null ? matches : candidates.filter(index => matches.indexOf(index) >= 0)
+    })
+
+    // Compound indexes apply when every indexed field is an exact match.
+    Object.keys(this._compoundIndex).forEach(name => {
+      let fields = this._compoundIndex[name]
+      let exact = fields.every(field => {
+        return query.hasOwnProperty(field) && query[field] !== null && (typeof query[field] !== 'object' || query[field] instanceof Date)
+      })
+
+      if (exact) {
+        let matches = this.getIndices(name, this.getIndexValue({}, name, query))
+        candidates = candidates === null ? matches : candidates.filter(index => matches.indexOf(index) >= 0)
+      }
+    })
+
+    return candidates
+  }
+
+  /**
+   * @method matches
+   * Determine whether a record satisfies a query object (see #find).
+   * @param {NGN.DATA.Model} record
+   * The record to test.
+   * @param {object} query
+   * The query object.
+   * @return {boolean}
+   * @private
+   */
+  matches (record, query) {
+    return Object.keys(query).every(key => {
+      let condition = query[key]
+
+      switch (key) {
+        case '$and':
+          return condition.every(subquery => this.matches(record, subquery))
+
+        case '$or':
+          return condition.some(subquery => this.matches(record, subquery))
+
+        case '$nor':
+          return !condition.some(subquery => this.matches(record, subquery))
+
+        case '$not':
+          return !this.matches(record, condition)
+      }
+
+      return this.matchesCondition(this.resolvePath(record, key), condition)
+    })
+  }
+
+  /**
+   * @method resolvePath
+   * Retrieve the values of a (dotted) field path. Relationship stores and
+   * arrays are expanded, so a path may resolve to several values.
+   * @param {NGN.DATA.Model|object} record
+   * The record.
+   * @param {string} path
+   * The field name or dotted path, such as `address.city`.
+   * @return {array}
+   * @private
+   */
+  resolvePath (record, path) {
+    let values = [record]
+
+    path.split('.').forEach(attribute => {
+      let next = []
+
+      values.forEach(value => {
+        if (value instanceof NGN.DATA.Store) {
+          value = value.records
+        }
+
+        if (Array.isArray(value) && !/^\d+$/.test(attribute)) {
+          value.forEach(item => {
+            item !== null && item !== undefined && next.push(item[attribute])
+          })
+        } else if (value !== null && value !== undefined) {
+          next.push(value[attribute])
+        }
+      })
+
+      values = next
+    })
+
+    return values
+  }
+
+  /**
+   * @method isQueryOperator
+   * Determine whether a query condition is an operator object,
+   * such as `{ $gt: 10 }`.
+   * @param {any} condition
+   * @return {boolean}
+   * @private
+   */
+  isQueryOperator (condition) {
+    if (NGN.typeof(condition) !== 'object') {
+      return false
+    }
+
+    let keys = Object.keys(condition)
+
+    return keys.length > 0 && keys.every(key => key.charAt(0) === '$')
+  }
+
+  /**
+   * @method matchesCondition
+   * Determine whether the values of a field satisfy a query condition.
+   * @param {array} values
+   * The field values (see #resolvePath).
+   * @param {any} condition
+   * An exact value, regular expression, or operator object.
+   * @return {boolean}
+   * @private
+   */
+  matchesCondition (values, condition) {
+    // Array values match when the array or any of its elements match.
+    let candidates = []
+
+    values.forEach(value => {
+      candidates.push(value)
+      Array.isArray(value) && value.forEach(item => candidates.push(item))
+    })
+
+    const equals = (value, expected) => {
+      if (expected instanceof RegExp) {
+        return typeof value === 'string' && expected.test(value)
+      }
+
+      if (expected instanceof Date || value instanceof Date) {
+        return value !== null && value !== undefined && expected !== null && expected !== undefined && value.valueOf() === expected.valueOf()
+      }
+
+      return value === expected
+    }
+
+    const any = fn => candidates.some(fn)
+
+    const compare = (value, expected, fn) => {
+      if (value === null || value === undefined || expected === null || expected === undefined) {
+        return false
+      }
+
+      value = value instanceof Date ? value.valueOf() : value
+      expected = expected instanceof Date ? expected.valueOf() : expected
+
+      return typeof value === typeof expected && fn(value, expected)
+    }
+
+    if (!this.isQueryOperator(condition)) {
+      return any(value => equals(value, condition))
+    }
+
+    return Object.keys(condition).every(operator => {
+      let expected = condition[operator]
+
+      switch (operator) {
+        case '$eq':
+          return any(value => equals(value, expected))
+
+        case '$ne':
+          return !any(value => equals(value, expected))
+
+        case '$gt':
+          return any(value => compare(value, expected, (a, b) => a > b))
+
+        case '$gte':
+          return any(value => compare(value, expected, (a, b) => a >= b))
+
+        case '$lt':
+          return any(value => compare(value, expected, (a, b) => a < b))
+
+        case '$lte':
+          return any(value => compare(value, expected, (a, b) => a <= b))
+
+        case '$in':
+          return any(value => expected.some(item => equals(value, item)))
+
+        case '$nin':
+          return !any(value => expected.some(item => equals(value, item)))
+
+        case '$regex': {
+          let pattern = expected instanceof RegExp ? expected : new RegExp(expected, NGN.coalesce(condition.$options, ''))
+          return any(value => typeof value === 'string' && pattern.test(value))
+        }
+
+        case '$options':
+          return true
+
+        case '$exists':
+          return values.some(value => value !== undefined) === Boolean(expected)
+
+        case '$not':
+          return !this.matchesCondition(values, expected)
+
+        default:
+          throw new Error(`Unrecognized query operator: ${operator}`)
+      }
+    })
+  }
+
+  /**
+   * @method applyFilters
+   * Apply filters to a data set.
+   * @param {array} data
+   * The array of data to apply filters to.
+   * @private
+   */
+  applyFilters (data) {
+    if (this._filters.length === 0) {
+      return data
+    }
+
+    this._filters.forEach(function (filter) {
+      data = data.filter(filter)
+    })
+
+    return data
+  }
+
+  /**
+   * @method addFilter
+   * Add a filter to the record set.
+   * @param {function} fn
+   * The filter function. This function should comply
+   * with the [Array.filter](https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/filter) specification,
+   * returning a boolean value.
+   * The item passed to the filter will be the NGN.DATA.Model specified
+   * in the cfg#model.
+   * @fires filter.create
+   * Fired when a filter is created.
+   */
+  addFilter (fn) {
+    this._filters.push(fn)
+    this.emit('filter.create', fn)
+  }
+
+  /**
+   * @method removeFilter
+   * Remove a filter from the record set.
+   * @param {function|index} filter
+   * This can be the function which was originally passed to
+   * the #addFilter method, or the zero-based #filters index
+   * @param {boolean} [suppressEvents=false]
+   * Prevent events from firing one the creation of the filter.
+   * @fires filter.delete
+   * Fired when a filter is removed.
+   */
+  removeFilter (fn, suppressEvents) {
+    suppressEvents = NGN.coalesce(suppressEvents, false)
+
+    let removed = []
+
+    if (typeof fn === 'number') {
+      removed = this._filters.splice(fn, 1)
+    } else {
+      removed = this._filters.splice(this._filters.indexOf(fn), 1)
+    }
+
+    if (removed.length > 0 && !suppressEvents) {
+      this.emit('filter.delete', removed[0])
+    }
+  }
+
+  /**
+   * @method clearFilters
+   * Remove all filters.
    * @param {boolean} [suppressEvents=false]
    * Prevent events from firing one the removal of each filter.
    */
@@ -1211,7 +1930,9 @@ class NgnDataStore extends NGN.EventEmitter {
    * @method sort
    * Sort the #records. This forces a #reindex, which may potentially be
    * an expensive operation on large data sets.
-   * @param {function|object} sorter
+   * @fires sort
+   * Triggered when the records have been sorted.
+   * @param {function|object} [sorter]
    * Using a function is exactly the same as using the
    * [Array.sort()](https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/sort?redirectlocale=en-US&redirectslug=JavaScript%2FReference%2FGlobal_Objects%2FArray%2Fsort) method
    * (this is the compare function). The arguments passed to the
@@ -1291,96 +2012,538 @@ class NgnDataStore extends NGN.EventEmitter {
    * The sorter above says "sort alphabetically by last name,
    * then by age where anyone under 40yrs old shows up before
    * everyone else, but sort the remainder ages in descending order.
+   *
+   * Sorting is stable: records that are equivalent keep their relative
+   * order. Fields can be virtuals (see NGN.DATA.Model#virtuals) or dotted
+   * paths into relationship fields (i.e. `address.city`). Strings are
+   * compared using locale-aware collation (Intl.Collator).
+   *
+   * Each field can also be configured with an object:
+   *
+   * ```js
+   * People.sort({
+   *   lname: { direction: 'asc', collation: { sensitivity: 'base' } },
+   *   'employer.name': { direction: 'desc', nulls: 'first' },
+   *   age: 'desc'
+   * }, {
+   *   locale: 'de'
+   * })
+   * ```
+   *
+   * - `direction` {string}: `asc` (default) or `desc`.
+   * - `nulls` {string}: `first` or `last`. This determines where `null` and
+   * `undefined` values are placed, regardless of the direction. This
+   * defaults to the `nulls` option.
+   * - `collation` {object}: [Intl.Collator options](https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Collator)
+   * for string values. This defaults to the `collation` option.
+   * - `compare` {function}: A custom compare function, which receives the
+   * two field values.
+   *
+   * The sort persists until a different sort is applied or the sort is
+   * removed with `sort(null)`. New records are added in the correct position
+   * (instead of being appended), and modified records are moved to their
+   * new position (triggering `record.move`). #insert, #insertBefore and
+   * #insertAfter ignore the requested position while a sort is persisted.
+   * Set the `persist` option to `false` to sort the current records only.
+   * Use `sort()` (no arguments) to reapply the persisted sort.
+   * @param {object} [options]
+   * Sort options.
+   * @param {string|array} [options.locale]
+   * The locale(s) used to compare strings. Defaults to the runtime locale.
+   * @param {object} [options.collation]
+   * The default Intl.Collator options used to compare strings.
+   * @param {string} [options.nulls=last]
+   * The default placement (`first` or `last`) of `null` and `undefined` values.
+   * @param {boolean} [options.persist=true]
+   * Set this to `false` to sort the current records without remembering
+   * the sort.
    */
-  sort (fn) {
-    if (typeof fn === 'function') {
-      this.records.sort(fn)
-    } else if (typeof fn === 'object') {
-      let functionKeys = Object.keys(fn)
-
-      this._data.sort(function (a, b) {
-        for (let i = 0; i < functionKeys.length; i++) {
-          // Make sure both objects have the same sorting key
-          if (a.hasOwnProperty(functionKeys[i]) && !b.hasOwnProperty(functionKeys[i])) {
-            return 1
-          }
+  sort (fn, options = {}) {
+    if (fn === null) {
+      this._sorter = null
+      return
+    }
 
-          if (!a.hasOwnProperty(functionKeys[i]) && b.hasOwnProperty(functionKeys[i])) {
-            return -1
-          }
+    let compare = fn === undefined ? this._sorter : this.getSortComparator(fn, options)
 
-          // For objects who have the key, sort in the order defined in object.
-          if (a[functionKeys[i]] !== b[functionKeys[i]]) {
-            switch (fn[functionKeys[i]].toString().trim().toLowerCase()) {
-              case 'asc':
-                if (typeof a.fields[functionKeys[i]] === 'string') {
-                  return a[functionKeys[i]].localeCompare(b[functionKeys[i]])
-                }
+    if (compare === null) {
+      return
+    }
 
-                return a[functionKeys[i]] > b[functionKeys[i]] ? 1 : -1
+    if (fn !== undefined) {
+      this._sorter = NGN.coalesce(options.persist, true) ? compare : null
+    }
 
-              case 'desc':
-                return a[functionKeys[i]] < b[functionKeys[i]] ? 1 : -1
+    this._data = this.stableSort(this._data, compare)
+    this.reindex()
 
-              default:
-                if (typeof fn[functionKeys[i]] === 'function') {
-                  return fn[functionKeys[i]](a, b)
-                }
+    this.emit('sort')
+  }
 
-                return 0
-            }
-          }
-        }
+  /**
+   * @method stableSort
+   * Sort records, keeping equivalent records in their original order.
+   * @param {array} records
+   * The records to sort.
+   * @param {function} compare
+   * The compare function.
+   * @return {array}
+   * A new, sorted array.
+   * @private
+   */
+  stableSort (records, compare) {
+    return records.map((record, index) => [record, index]).sort((a, b) => {
+      return compare(a[0], b[0]) || a[1] - b[1]
+    }).map(item => item[0])
+  }
 
-        // Everything is equal
-        return 0
-      })
+  /**
+   * @method locateSorted
+   * Identify where a new record belongs in a sorted store (see #sort).
+   * @param {NGN.DATA.Model} record
+   * The new record.
+   * @return {number}
+   * The position after any equivalent records.
+   * @private
+   */
+  locateSorted (record) {
+    let low = 0
+    let high = this._data.length
+
+    while (low < high) {
+      let middle = (low + high) >>> 1
+
+      if (this._sorter(this._data[middle], record) <= 0) {
+        low = middle + 1
+      } else {
+        high = middle
+      }
     }
-    this.reindex()
+
+    return low
   }
 
   /**
-   * @method createIndex
-   * Add a simple index to the recordset.
-   * @param {string} datafield
-   * The #model data field to index.
-   * @param {boolean} [suppressEvents=false]
-   * Prevent events from firing on the creation of the index.
-   * @fires index.create
-   * Fired when an index is created. The datafield name and
-   * store are supplied as an argument to event handlers.
+   * @method reposition
+   * Move a modified record to its sorted position while a sort is
+   * persisted (see #sort).
+   * @param {NGN.DATA.Model} record
+   * The modified record.
+   * @fires record.move
+   * @private
    */
-  createIndex (field, suppressEvents) {
-    if (!this.model.hasOwnProperty(field)) {
-      console.warn('The store\'s model does not contain a data field called %c' + field + '%c.', NGN.css, '')
-    }
+  reposition (record) {
+    let index = this._data.indexOf(record)
 
-    let exists = this._index.hasOwnProperty(field)
+    if (this._sorter === null || this._loading || index < 0) {
+      return
+    }
 
-    this._index[field] = this._index[field] || []
-    if (!NGN.coalesce(suppressEvents, false) && !exists) {
-      this.emit('index.created', {
-        field: field,
-        store: this
-      })
+    // Records that are still in order with their neighbours stay in place.
+    if ((index === 0 || this._sorter(this._data[index - 1], record) <= 0) && (index === this._data.length - 1 || this._sorter(record, this._data[index + 1]) <= 0)) {
+      return
     }
+
+    this._data.splice(index, 1)
+
+    let newIndex = this.locateSorted(record)
+
+    this._data.splice(newIndex, 0, record)
+    this.reindex()
+
+    this.emit('record.move', {
+      oldIndex: index,
+      newIndex: newIndex,
+      record: record
+    })
   }
 
   /**
-   * @method deleteIndex
-   * Remove an index.
-   * @param {string} datafield
-   * The #model data field to stop indexing.
-   * @param {boolean} [suppressEvents=false]
-   * Prevent events from firing on the removal of the index.
-   * @fires index.delete
-   * Fired when an index is deleted. The datafield name and
-   * store are supplied as an argument to event handlers.
+   * @method getSortComparator
+   * Generate a compare function from a sorter (see #sort).
+   * @param {function|object} sorter
+   * A compare function, or an object of fields and sort directions.
+   * @param {object} [options]
+   * The sort options (see #sort).
+   * @return {function}
+   * @private
    */
-  deleteIndex (field, suppressEvents) {
-    if (this._index.hasOwnProperty(field)) {
-      delete this._index[field]
-
+  getSortComparator (fn, options = {}) {
+    if (typeof fn === 'function') {
+      return fn
+    }
+
+    const collators = {}
+    const collate = (settings) => {
+      let key = JSON.stringify(settings)
+
+      if (!collators.hasOwnProperty(key)) {
+        collators[key] = typeof Intl !== 'undefined' && Intl.Collator
+          ? new Intl.Collator(options.locale, settings).compare
+          : (a, b) => a.localeCompare(b)
+      }
+
+      return collators[key]
+    }
+
+    let sorters = Object.keys(fn).map(field => {
+      let spec = fn[field]
+
+      if (typeof spec === 'function') {
+        return (a, b) => spec(a, b)
+      }
+
+      spec = typeof spec === 'object' && spec !== null ? spec : { direction: spec }
+
+      let direction = String(NGN.coalesce(spec.direction, 'asc')).trim().toLowerCase() === 'desc' ? -1 : 1
+      let nulls = NGN.coalesce(spec.nulls, options.nulls, 'last') === 'first' ? -1 : 1
+      let compareStrings = collate(NGN.coalesce(spec.collation, options.collation, {}))
+      let compareValues = NGN.coalesce(spec.compare, (a, b) => {
+        return typeof a === 'string' && typeof b === 'string' ? compareStrings(a, b) : this.compareIndexValues(a, b)
+      })
+
+      return (a, b) => {
+        a = this.resolvePath(a, field)[0]
+        b = this.resolvePath(b, field)[0]
+
+        let aNull = a === null || a === undefined
+        let bNull = b === null || b === undefined
+
+        if (aNull || bNull) {
+          return aNull && bNull ? 0 : (aNull ? nulls : -nulls)
+        }
+
+        return direction * compareValues(a, b)
+      }
+    })
+
+    return (a, b) => {
+      for (let i = 0; i < sorters.length; i++) {
+        let result = sorters[i](a, b)
+
+        if (result !== 0) {
+          return result
+        }
+      }
+
+      // Everything is equal
+      return 0
+    }
+  }
+
+  /**
+   * @method createIndex
+   * Add a simple index to the recordset.
+   *
+   * Multiple fields can be indexed together (a compound index), and an
+   * index can enforce unique values:
+   *
+   * ```js
+   * People.createIndex(['firstname', 'lastname'], { unique: true })
+   *
+   * People.add({ firstname: 'John', lastname: 'Doe' })
+   * People.add({ firstname: 'John', lastname: 'Doe' }) // Ignored (record.duplicate)
+   * ```
+   *
+   * Records that collide with a unique index are not added (see #add and
+   * #insert), and field changes that make a record collide are rolled back.
+   * The `record.duplicate` event is triggered instead, and an error is
+   * thrown if `errorOnDuplicate` is enabled. Records with a `null` or
+   * `undefined` value in an indexed field never collide.
+   *
+   * A unique index cannot be created while the store contains records
+   * that would collide. An error is thrown instead.
+   * @param {string|array} datafield
+   * The #model data field to index, or an array of fields for a compound
+   * index.
+   * @param {boolean|object} [options]
+   * Set this to `true` to prevent events from firing on the creation of the
+   * index (same as `suppressEvents`). Otherwise, an object with the following
+   * optional attributes:
+   *
+   * - `suppressEvents` {boolean}: Prevent events from firing on the creation of the index.
+   * - `unique` {boolean}: Reject records whose value(s) already exist in the index.
+   * - `errorOnDuplicate` {boolean}: Throw an error when a record is rejected
+   * by the unique index. This defaults to the store's #errorOnDuplicate.
+   * - `name` {string}: The name of a compound index. This defaults to the
+   * field names, joined with `+` (i.e. `firstname+lastname`).
+   * @return {string}
+   * The name of the index (i.e. the field name for simple indexes).
+   * @fires index.create
+   * Fired when an index is created. The datafield name and
+   * store are supplied as an argument to event handlers.
+   * @throws {Error}
+   * Thrown when a unique index is created over duplicate values.
+   */
+  createIndex (field, options) {
+    options = typeof options === 'object' && options !== null ? options : { suppressEvents: options }
+
+    let fields = Array.isArray(field) ? field : [field]
+    let name = fields.length === 1 ? fields[0] : NGN.coalesce(options.name, fields.join('+'))
+
+    fields.forEach(field => {
+      if (!this.model.hasOwnProperty(field)) {
+        console.warn('The store\'s model does not contain a data field called %c' + field + '%c.', NGN.css, '')
+      }
+    })
+
+    let exists = this._index.hasOwnProperty(name)
+
+    if (fields.length > 1) {
+      this._compoundIndex[name] = fields
+    }
+
+    this._index[name] = this._index[name] || []
+
+    // Index existing records.
+    if (!exists) {
+      this._data.forEach((record, index) => this.applyIndices(record, index, false, [name]))
+    }
+
+    if (NGN.coalesce(options.unique, false)) {
+      // Null values never collide.
+      let duplicate = this._index[name].some(bucket => {
+        return bucket.slice(1).filter(num => fields.every(field => NGN.coalesce(this._data[num][field]) !== null)).length > 1
+      })
+
+      if (duplicate) {
+        if (!exists) {
+          delete this._index[name]
+          delete this._compoundIndex[name]
+        }
+
+        throw new Error(`Cannot create unique index ${name}. The store contains duplicate values.`)
+      }
+
+      this._uniqueIndex[name] = {
+        errorOnDuplicate: NGN.coalesce(options.errorOnDuplicate, this.errorOnDuplicate)
+      }
+    }
+
+    if (!NGN.coalesce(options.suppressEvents, false) && !exists) {
+      this.emit('index.created', {
+        field: name,
+        store: this
+      })
+    }
+
+    return name
+  }
+
+  /**
+   * @method getIndexValue
+   * Retrieve the value of a record for an index. Compound index values
+   * are the JSON representation of each field value.
+   * @param {NGN.DATA.Model} record
+   * The record.
+   * @param {string} name
+   * The name of the index.
+   * @param {object} [override]
+   * Field values to use instead of the record values.
+   * @return {any}
+   * Returns `undefined` if the record does not have the indexed field(s).
+   * @private
+   */
+  getIndexValue (record, name, override = {}) {
+    const value = field => override.hasOwnProperty(field) ? override[field] : record[field]
+
+    if (!this._compoundIndex.hasOwnProperty(name)) {
+      return record.hasOwnProperty(name) || override.hasOwnProperty(name) ? value(name) : undefined
+    }
+
+    let fields = this._compoundIndex[name]
+
+    if (fields.some(field => !record.hasOwnProperty(field) && !override.hasOwnProperty(field))) {
+      return undefined
+    }
+
+    return JSON.stringify(fields.map(value))
+  }
+
+  /**
+   * @method satisfiesUniqueIndexes
+   * Determine whether a new record can be added without violating a
+   * unique index (see #createIndex).
+   * @param {NGN.DATA.Model} record
+   * The new record.
+   * @return {boolean}
+   * @fires record.duplicate
+   * @private
+   */
+  satisfiesUniqueIndexes (record) {
+    let name = this.getUniqueIndexViolation(record)
+
+    if (name === null) {
+      return true
+    }
+
+    this.emit('record.duplicate', record)
+
+    if (this._uniqueIndex[name].errorOnDuplicate) {
+      throw new Error(`Cannot add duplicate record (unique index: ${name}).`)
+    }
+
+    return false
+  }
+
+  /**
+   * @method getUniqueIndexViolation
+   * Identify the unique index (see #createIndex) a record collides with.
+   * @param {NGN.DATA.Model} record
+   * The record.
+   * @param {string} [field]
+   * Only check the unique indexes containing this data field.
+   * @return {string}
+   * The name of the index, or `null` if the record does not collide
+   * with another record.
+   * @private
+   */
+  getUniqueIndexViolation (record, field = null) {
+    let names = Object.keys(this._uniqueIndex)
+
+    for (let i = 0; i < names.length; i++) {
+      let name = names[i]
+      let fields = NGN.coalesce(this._compoundIndex[name], [name])
+
+      if (field !== null && fields.indexOf(field) < 0) {
+        continue
+      }
+
+      // Null values never collide.
+      if (fields.some(field => record[field] === null || record[field] === undefined)) {
+        continue
+      }
+
+      let existing = this.getIndices(name, this.getIndexValue(record, name))
+
+      if (existing !== null && existing.some(index => this._data[index] !== record)) {
+        return name
+      }
+    }
+
+    return null
+  }
+
+  /**
+   * @method createTextIndex
+   * Add a full-text index to the record set (see #search). Text is split
+   * into lowercase words (tokens) without accents, so searches are case and
+   * accent insensitive. Arrays are indexed as a list of words.
+   *
+   * ```js
+   * Products.createTextIndex(['name', 'description'])
+   *
+   * Products.search('red shoe', { limit: 10 })
+   * ```
+   * @param {string|array} datafield
+   * The #model data field to index, or an array of fields.
+   * @param {boolean} [suppressEvents=false]
+   * Prevent events from firing on the creation of the index.
+   * @fires index.create
+   * Fired when an index is created. The datafield name and
+   * store are supplied as an argument to event handlers.
+   */
+  createTextIndex (field, suppressEvents) {
+    if (Array.isArray(field)) {
+      return field.forEach(name => this.createTextIndex(name, suppressEvents))
+    }
+
+    if (!this.hasModelField(field)) {
+      console.warn('The store\'s model does not contain a data field called %c' + field + '%c.', NGN.css, '')
+    }
+
+    if (this._textIndex.hasOwnProperty(field)) {
+      return
+    }
+
+    this.buildTextIndex(field)
+
+    if (!NGN.coalesce(suppressEvents, false)) {
+      this.emit('index.created', {
+        field: field,
+        store: this,
+        text: true
+      })
+    }
+  }
+
+  /**
+   * @method createSortedIndex
+   * Add a sorted index to the record set. Sorted indexes keep the values
+   * of a field in order, so they can answer range queries (see #range and
+   * #find), ordered iteration (see #orderedBy), and #min/#max lookups
+   * without scanning every record.
+   *
+   * ```js
+   * People.createSortedIndex('age')
+   *
+   * People.range('age', { $gt: 30, $lte: 50 })
+   * People.max('age')
+   * ```
+   *
+   * Values are ordered by type first (`null`/`undefined`, numbers and dates,
+   * strings, booleans, other), then by value.
+   * @param {string} datafield
+   * The #model data field to index.
+   * @param {boolean} [suppressEvents=false]
+   * Prevent events from firing on the creation of the index.
+   * @fires index.create
+   * Fired when an index is created. The datafield name and
+   * store are supplied as an argument to event handlers.
+   */
+  createSortedIndex (field, suppressEvents) {
+    if (!this.hasModelField(field)) {
+      console.warn('The store\'s model does not contain a data field called %c' + field + '%c.', NGN.css, '')
+    }
+
+    if (this._sortedIndex.hasOwnProperty(field)) {
+      return
+    }
+
+    this.buildSortedIndex(field)
+
+    if (!NGN.coalesce(suppressEvents, false)) {
+      this.emit('index.created', {
+        field: field,
+        store: this,
+        sorted: true
+      })
+    }
+  }
+
+  /**
+   * @method hasModelField
+   * Determine whether the #model has a data field, relationship or
+   * virtual with the specified name. Stores without a model accept
+   * any name.
+   * @param {string} datafield
+   * The name of the field.
+   * @return {boolean}
+   * @private
+   */
+  hasModelField (field) {
+    return !this.model || (new this.model()).has(field) // eslint-disable-line new-cap
+  }
+
+  /**
+   * @method deleteIndex
+   * Remove an index.
+   * @param {string} datafield
+   * The #model data field to stop indexing.
+   * @param {boolean} [suppressEvents=false]
+   * Prevent events from firing on the removal of the index.
+   * @fires index.delete
+   * Fired when an index is deleted. The datafield name and
+   * store are supplied as an argument to event handlers.
+   */
+  deleteIndex (field, suppressEvents) {
+    if (this._index.hasOwnProperty(field) || this._sortedIndex.hasOwnProperty(field) || this._textIndex.hasOwnProperty(field)) {
+      delete this._index[field]
+      delete this._sortedIndex[field]
+      delete this._textIndex[field]
+      delete this._compoundIndex[field]
+      delete this._uniqueIndex[field]
+
       if (!NGN.coalesce(suppressEvents, false)) {
         this.emit('index.created', {
           field: field,
@@ -1388,125 +2551,997 @@ class NgnDataStore extends NGN.EventEmitter {
         })
       }
     }
-  }
+  }
+
+  /**
+   * @method clearIndices
+   * Clear all indices from the indexes.
+   */
+  clearIndices () {
+    Object.keys(this._index).forEach(key => {
+      this._index[key] = []
+    })
+
+    Object.keys(this._sortedIndex).forEach(key => {
+      this._sortedIndex[key] = []
+    })
+
+    Object.keys(this._textIndex).forEach(key => {
+      this._textIndex[key] = {
+        tokens: new Map(),
+        lengths: new Map()
+      }
+    })
+  }
+
+  /**
+   * @method deleteIndexes
+   * Remove all indexes.
+   * @param {boolean} [suppressEvents=true]
+   * Prevent events from firing on the removal of each index.
+   */
+  deleteIndexes (suppressEvents) {
+    suppressEvents = NGN.coalesce(suppressEvents, true)
+
+    Object.keys(this._index).concat(Object.keys(this._sortedIndex)).concat(Object.keys(this._textIndex)).forEach(key => {
+      this.deleteIndex(key, suppressEvents)
+    })
+  }
+
+  /**
+   * @method applyIndices
+   * Apply the values to the index.
+   * @param {NGN.DATA.Model} record
+   * The record which should be applied to the index.
+   * @param {number} number
+   * The record index number.
+   * @param {boolean} [sorted=true]
+   * Apply the values to the sorted and full-text indexes.
+   * @param {array} [fields]
+   * Only apply the values to the indexes of these fields.
+   * @private
+   */
+  applyIndices (record, number, sorted = true, fields = null) {
+    let indexes = NGN.coalesce(fields, Object.keys(this._index))
+
+    indexes.forEach(field => {
+      let value = this.getIndexValue(record, field)
+
+      if (value !== undefined) {
+        let values = this._index[field]
+
+        // Check existing records for similar values
+        for (let i = 0; i < values.length; i++) {
+          if (values[i][0] === value) {
+            // Keep the record numbers in order (records can be inserted mid-set).
+            let position = values[i].findIndex((item, n) => n > 0 && item > number)
+            values[i].splice(position < 0 ? values[i].length : position, 0, number)
+            return
+          }
+        }
+
+        // No matching words, create a new one.
+        this._index[field].push([value, number])
+      }
+    })
+
+    if (sorted) {
+      Object.keys(this._sortedIndex).forEach(field => {
+        record.hasOwnProperty(field) && this.insertSortedIndex(field, record[field], number)
+      })
+
+      Object.keys(this._textIndex).forEach(field => {
+        record.hasOwnProperty(field) && this.applyTextIndex(field, record, record[field])
+      })
+    }
+  }
+
+  /**
+   * @method unapplyIndices
+   * This removes a record from all relevant indexes simultaneously.
+   * Commonly used when removing a record from the store. The index
+   * numbers of subsequent records are shifted accordingly.
+   * @param  {number} indexNumber
+   * The record index.
+   * @param  {NGN.DATA.Model} [record]
+   * The record being removed (required to update full-text indexes).
+   * @private
+   */
+  unapplyIndices (num, record = null) {
+    if (record !== null) {
+      Object.keys(this._textIndex).forEach(field => this.unapplyTextIndex(field, record, record[field]))
+    }
+
+    const shift = value => value > num ? value - 1 : value
+
+    Object.keys(this._index).forEach(field => {
+      this._index[field] = this._index[field].map(bucket => {
+        return [bucket[0]].concat(bucket.slice(1).filter(value => value !== num).map(shift))
+      }).filter(bucket => bucket.length > 1)
+    })
+
+    Object.keys(this._sortedIndex).forEach(field => {
+      this._sortedIndex[field] = this._sortedIndex[field].filter(entry => entry[1] !== num).map(entry => {
+        return [entry[0], shift(entry[1])]
+      })
+    })
+  }
+
+  /**
+   * @method shiftIndices
+   * Make room in the indexes for a record inserted at the specified index
+   * number. The index numbers of the subsequent records are shifted
+   * accordingly (see #unapplyIndices).
+   * @param  {number} indexNumber
+   * The index number of the new record.
+   * @private
+   */
+  shiftIndices (num) {
+    const shift = value => value >= num ? value + 1 : value
+
+    Object.keys(this._index).forEach(field => {
+      this._index[field].forEach(bucket => {
+        bucket.splice(1, bucket.length, ...bucket.slice(1).map(shift))
+      })
+    })
+
+    Object.keys(this._sortedIndex).forEach(field => {
+      this._sortedIndex[field].forEach(entry => {
+        entry[1] = shift(entry[1])
+      })
+    })
+  }
+
+  /**
+   * @method updateIndice
+   * Update the index with new values.
+   * @param  {string} fieldname
+   * The name of the indexed field.
+   * @param  {any} oldValue
+   * The original value. This is used to remove the old value from the index.
+   * @param  {any} newValue
+   * The new value. If this is `undefined`, the field was removed from
+   * the record.
+   * @param  {number} indexNumber
+   * The number of the record index.
+   * @private
+   */
+  updateIndice (field, oldValue, newValue, num) {
+    if (oldValue === newValue || num < 0) {
+      return
+    }
+
+    if (this._sortedIndex.hasOwnProperty(field)) {
+      this.removeSortedIndex(field, oldValue, num)
+      newValue !== undefined && this.insertSortedIndex(field, newValue, num)
+    }
+
+    if (this._textIndex.hasOwnProperty(field) && this._data[num]) {
+      this.unapplyTextIndex(field, this._data[num], oldValue)
+      newValue !== undefined && this.applyTextIndex(field, this._data[num], newValue)
+    }
+
+    // Update compound indexes containing the field.
+    Object.keys(this._compoundIndex).forEach(name => {
+      if (this._compoundIndex[name].indexOf(field) >= 0 && this._data[num]) {
+        let record = this._data[num]
+        let previous = {}
+
+        previous[field] = oldValue
+
+        this.updateIndexBucket(name, this.getIndexValue(record, name, previous), this.getIndexValue(record, name), num)
+      }
+    })
+
+    this.updateIndexBucket(field, oldValue, newValue, num)
+  }
+
+  /**
+   * @method updateIndexBucket
+   * Move a record from one value to another in a simple/compound index.
+   * @param  {string} fieldname
+   * The name of the index.
+   * @param  {any} oldValue
+   * The original index value.
+   * @param  {any} newValue
+   * The new index value (`undefined` if the record no longer has a value).
+   * @param  {number} indexNumber
+   * The number of the record index.
+   * @private
+   */
+  updateIndexBucket (field, oldValue, newValue, num) {
+    if (!this._index.hasOwnProperty(field) || oldValue === newValue) {
+      return
+    }
+
+    let added = newValue === undefined
+
+    this._index[field].forEach(bucket => {
+      if (bucket[0] === oldValue) {
+        let position = bucket.indexOf(num, 1)
+        position > 0 && bucket.splice(position, 1)
+      } else if (bucket[0] === newValue) {
+        bucket.indexOf(num, 1) < 0 && bucket.push(num)
+        bucket.splice(1, bucket.length, ...bucket.slice(1).sort((a, b) => a - b))
+        added = true
+      }
+    })
+
+    if (!added) {
+      this._index[field].push([newValue, num])
+    }
+
+    this._index[field] = this._index[field].filter(bucket => bucket.length > 1)
+  }
+
+  /**
+   * @method compareIndexValues
+   * Compare two values for sorted indexes. Values are ordered by type
+   * (`null`/`undefined`, numbers and dates, strings, booleans, other),
+   * then by value.
+   * @param {any} a
+   * @param {any} b
+   * @return {number}
+   * A negative number if `a` comes first, a positive number if `b` comes
+   * first, or `0` if the values are equivalent.
+   * @private
+   */
+  compareIndexValues (a, b) {
+    let rank = this.getIndexValueRank(a) - this.getIndexValueRank(b)
+
+    if (rank !== 0) {
+      return rank
+    }
+
+    a = a instanceof Date ? a.valueOf() : a
+    b = b instanceof Date ? b.valueOf() : b
+
+    return a < b ? -1 : (a > b ? 1 : 0)
+  }
+
+  /**
+   * @method getIndexValueRank
+   * Identifies the type group of a value in a sorted index.
+   * @param {any} value
+   * @return {number}
+   * @private
+   */
+  getIndexValueRank (value) {
+    if (value === null || value === undefined) {
+      return 0
+    }
+
+    if (typeof value === 'number' || value instanceof Date) {
+      return 1
+    }
+
+    if (typeof value === 'string') {
+      return 2
+    }
+
+    return typeof value === 'boolean' ? 3 : 4
+  }
+
+  /**
+   * @method searchSortedIndex
+   * Binary search a sorted index.
+   * @param {string} field
+   * The name of the indexed field.
+   * @param {function} test
+   * Receives each `[value, recordNumber]` entry. This must return `false`
+   * for all entries before the target position and `true` for all entries
+   * after it.
+   * @return {number}
+   * The position of the first entry passing the test (or the length
+   * of the index if no entry passes).
+   * @private
+   */
+  searchSortedIndex (field, test) {
+    let entries = this._sortedIndex[field]
+    let low = 0
+    let high = entries.length
+
+    while (low < high) {
+      let middle = (low + high) >>> 1
+
+      if (test(entries[middle])) {
+        high = middle
+      } else {
+        low = middle + 1
+      }
+    }
+
+    return low
+  }
+
+  /**
+   * @method insertSortedIndex
+   * Add a record value to a sorted index.
+   * @param {string} field
+   * The name of the indexed field.
+   * @param {any} value
+   * The record value.
+   * @param {number} num
+   * The record index number.
+   * @private
+   */
+  insertSortedIndex (field, value, num) {
+    let position = this.searchSortedIndex(field, entry => {
+      let comparison = this.compareIndexValues(entry[0], value)
+      return comparison > 0 || (comparison === 0 && entry[1] > num)
+    })
+
+    this._sortedIndex[field].splice(position, 0, [value, num])
+  }
+
+  /**
+   * @method removeSortedIndex
+   * Remove a record value from a sorted index.
+   * @param {string} field
+   * The name of the indexed field.
+   * @param {any} value
+   * The record value.
+   * @param {number} num
+   * The record index number.
+   * @private
+   */
+  removeSortedIndex (field, value, num) {
+    let entries = this._sortedIndex[field]
+    let position = this.searchSortedIndex(field, entry => {
+      let comparison = this.compareIndexValues(entry[0], value)
+      return comparison > 0 || (comparison === 0 && entry[1] >= num)
+    })
+
+    if (position < entries.length && entries[position][1] === num) {
+      entries.splice(position, 1)
+      return
+    }
+
+    // The value was modified in place (i.e. a mutated date), so scan the index.
+    position = entries.findIndex(entry => entry[1] === num)
+    position >= 0 && entries.splice(position, 1)
+  }
+
+  /**
+   * @method buildSortedIndex
+   * Generate a sorted index from the current record set.
+   * @param {string} field
+   * The name of the indexed field.
+   * @private
+   */
+  buildSortedIndex (field) {
+    let entries = []
+
+    this._data.forEach((record, index) => {
+      record.hasOwnProperty(field) && entries.push([record[field], index])
+    })
+
+    this._sortedIndex[field] = entries.sort((a, b) => {
+      return this.compareIndexValues(a[0], b[0]) || a[1] - b[1]
+    })
+  }
+
+  /**
+   * @method getRangeIndices
+   * Retrieve the record index numbers within a range of values using a
+   * sorted index. Only values of the same type as the boundaries are
+   * returned (i.e. a numeric range never returns string values).
+   * @param {string} field
+   * The name of the indexed field.
+   * @param {object} range
+   * An object with any of the `$eq`, `$gt`, `$gte`, `$lt`, and `$lte`
+   * attributes.
+   * @return {array}
+   * The record index numbers, in value order. Returns `null` if the field
+   * does not have a sorted index, or the range contains other operators.
+   * @private
+   */
+  getRangeIndices (field, range) {
+    const operators = ['$eq', '$gt', '$gte', '$lt', '$lte']
+    let keys = Object.keys(range)
+
+    if (!this._sortedIndex.hasOwnProperty(field) || keys.length === 0 || keys.some(key => operators.indexOf(key) < 0)) {
+      return null
+    }
+
+    let bounds = keys.map(key => range[key])
+
+    if (bounds.some(value => value instanceof RegExp || NGN.typeof(value) === 'object' || Array.isArray(value))) {
+      return null
+    }
+
+    let rank = this.getIndexValueRank(bounds[0])
+
+    if (bounds.some(value => this.getIndexValueRank(value) !== rank)) {
+      return []
+    }
+
+    let start = this.searchSortedIndex(field, entry => this.getIndexValueRank(entry[0]) >= rank)
+    let end = this.searchSortedIndex(field, entry => this.getIndexValueRank(entry[0]) > rank)
+
+    const lower = (value, inclusive) => {
+      start = Math.max(start, this.searchSortedIndex(field, entry => {
+        let comparison = this.compareIndexValues(entry[0], value)
+        return inclusive ? comparison >= 0 : comparison > 0
+      }))
+    }
+
+    const upper = (value, inclusive) => {
+      end = Math.min(end, this.searchSortedIndex(field, entry => {
+        let comparison = this.compareIndexValues(entry[0], value)
+        return inclusive ? comparison > 0 : comparison >= 0
+      }))
+    }
+
+    if (range.hasOwnProperty('$eq')) {
+      lower(range.$eq, true)
+      upper(range.$eq, true)
+    }
+
+    range.hasOwnProperty('$gt') && lower(range.$gt, false)
+    range.hasOwnProperty('$gte') && lower(range.$gte, true)
+    range.hasOwnProperty('$lt') && upper(range.$lt, false)
+    range.hasOwnProperty('$lte') && upper(range.$lte, true)
+
+    return start >= end ? [] : this._sortedIndex[field].slice(start, end).map(entry => entry[1])
+  }
+
+  /**
+   * @method range
+   * Retrieve the records whose field value is within a range.
+   *
+   * ```js
+   * People.range('age', { $gte: 18, $lt: 65 })
+   * Orders.range('created', { $gte: new Date('2017-01-01'), $lt: new Date('2017-02-01') })
+   * ```
+   *
+   * A sorted index (see #createSortedIndex) is used when available.
+   * Otherwise, the records are scanned.
+   * @param {string} datafield
+   * The data field.
+   * @param {object} range
+   * An object with any of the `$eq`, `$gt`, `$gte`, `$lt`, and `$lte`
+   * attributes.
+   * @param {boolean} [ignoreFilters=false]
+   * Set this to `true` to search the full unfiltered record set.
+   * @return {array}
+   * The records, ordered by the field value.
+   */
+  range (field, range, ignoreFilters = false) {
+    let indices = this.getRangeIndices(field, range)
+    let records
+
+    if (indices !== null) {
+      records = indices.map(index => this._data[index])
+    } else {
+      records = this.orderedBy(field, false, true).filter(record => {
+        return this.matchesCondition(this.resolvePath(record, field), range)
+      })
+    }
+
+    return ignoreFilters ? records : this.applyFilters(records)
+  }
+
+  /**
+   * @method orderedBy
+   * Retrieve the records ordered by the value of a field, without
+   * changing the order of the store (see #sort). A sorted index
+   * (see #createSortedIndex) is used when available.
+   * @param {string} datafield
+   * The data field.
+   * @param {boolean} [descending=false]
+   * Set this to `true` to return the highest values first.
+   * @param {boolean} [ignoreFilters=false]
+   * Set this to `true` to include records excluded by filters.
+   * @return {array}
+   */
+  orderedBy (field, descending = false, ignoreFilters = false) {
+    let records
+
+    if (this._sortedIndex.hasOwnProperty(field)) {
+      records = this._sortedIndex[field].map(entry => this._data[entry[1]])
+    } else {
+      records = this._data.slice(0).sort((a, b) => this.compareIndexValues(a[field], b[field]))
+    }
+
+    descending && records.reverse()
+
+    return ignoreFilters ? records : this.applyFilters(records)
+  }
+
+  /**
+   * @method getAggregateRecords
+   * Retrieve the records used to calculate an aggregate.
+   * @param {boolean|object|function|array} [query]
+   * A query object (see #find) or filter function. A {boolean} indicates
+   * whether filters should be ignored. An array of records is used as-is.
+   * If this is not specified, the #records (honoring filters) are used.
+   * @return {array}
+   * @private
+   */
+  getAggregateRecords (query) {
+    if (Array.isArray(query)) {
+      return query
+    }
+
+    if (query === true) {
+      return this._data
+    }
+
+    if (query === undefined || query === null || query === false) {
+      return this.records
+    }
+
+    if (NGN.isFn(query)) {
+      return this.records.filter(query)
+    }
+
+    return this.applyFilters(this._data.length === 0 ? [] : this.find(query, true))
+  }
+
+  /**
+   * @method getAggregateValues
+   * Retrieve the values of a field for a set of records. Dotted paths and
+   * relationship fields are expanded (see #find), and `null`/`undefined`
+   * values are ignored.
+   * @param {string|function} field
+   * The field name, or a function that receives each record and returns
+   * the value.
+   * @param {boolean|object|function} [query]
+   * See #getAggregateRecords.
+   * @return {array}
+   * @private
+   */
+  getAggregateValues (field, query) {
+    let values = []
+
+    this.getAggregateRecords(query).forEach(record => {
+      let value = NGN.isFn(field) ? [field(record)] : this.resolvePath(record, field)
+
+      value.forEach(item => {
+        item !== null && item !== undefined && values.push(item)
+      })
+    })
+
+    return values
+  }
+
+  /**
+   * @method min
+   * Retrieve the lowest value of a field. `null` and `undefined` values
+   * are ignored. Numbers and dates are considered lower than strings.
+   * A sorted index (see #createSortedIndex) is used when available.
+   *
+   * ```js
+   * People.min('age')
+   * People.min('age', { role: 'admin' })
+   * ```
+   * @param {string|function} datafield
+   * The data field, or a function that receives each record and returns
+   * the value.
+   * @param {boolean|object|function} [query=false]
+   * A query object (see #find) or filter function, to calculate the value
+   * for a subset of the #records. Set this to `true` to include records
+   * excluded by filters.
+   * @return {any}
+   * Returns `undefined` when no record has a value.
+   */
+  min (field, query = false) {
+    if (typeof query === 'boolean' && this._sortedIndex.hasOwnProperty(field) && (query || this._filters.length === 0)) {
+      let entries = this._sortedIndex[field]
+      let position = this.searchSortedIndex(field, entry => this.getIndexValueRank(entry[0]) > 0)
+
+      return position < entries.length ? entries[position][0] : undefined
+    }
+
+    return this.getAggregateValues(field, query).reduce((result, value) => {
+      return result === undefined || this.compareIndexValues(value, result) < 0 ? value : result
+    }, undefined)
+  }
+
+  /**
+   * @method max
+   * Retrieve the highest value of a field. `null` and `undefined` values
+   * are ignored. A sorted index (see #createSortedIndex) is used when
+   * available.
+   * @param {string|function} datafield
+   * The data field, or a function that receives each record and returns
+   * the value.
+   * @param {boolean|object|function} [query=false]
+   * A query object (see #find) or filter function, to calculate the value
+   * for a subset of the #records. Set this to `true` to include records
+   * excluded by filters.
+   * @return {any}
+   * Returns `undefined` when no record has a value.
+   */
+  max (field, query = false) {
+    if (typeof query === 'boolean' && this._sortedIndex.hasOwnProperty(field) && (query || this._filters.length === 0)) {
+      let entries = this._sortedIndex[field]
+      let value = entries.length > 0 ? entries[entries.length - 1][0] : null
+
+      return value === null ? undefined : value
+    }
+
+    return this.getAggregateValues(field, query).reduce((result, value) => {
+      return result === undefined || this.compareIndexValues(value, result) > 0 ? value : result
+    }, undefined)
+  }
+
+  /**
+   * @method count
+   * Count the #records.
+   *
+   * ```js
+   * People.count({ age: { $gte: 18 } })
+   * ```
+   * @param {boolean|object|function} [query=false]
+   * A query object (see #find) or filter function, to count a subset of
+   * the #records. Set this to `true` to include records excluded by filters.
+   * @return {number}
+   */
+  count (query = false) {
+    return this.getAggregateRecords(query).length
+  }
+
+  /**
+   * @method sum
+   * Calculate the sum of a numeric field. Non-numeric values are ignored.
+   *
+   * ```js
+   * Orders.sum('total', { status: 'paid' })
+   * Orders.sum((order) => order.quantity * order.price)
+   * ```
+   * @param {string|function} datafield
+   * The data field, or a function that receives each record and returns
+   * the value.
+   * @param {boolean|object|function} [query=false]
+   * A query object (see #find) or filter function, to calculate the sum
+   * for a subset of the #records. Set this to `true` to include records
+   * excluded by filters.
+   * @return {number}
+   */
+  sum (field, query = false) {
+    return this.getAggregateValues(field, query).reduce((total, value) => {
+      return typeof value === 'number' && !isNaN(value) ? total + value : total
+    }, 0)
+  }
+
+  /**
+   * @method avg
+   * Calculate the average of a numeric field. Non-numeric values are ignored.
+   * @param {string|function} datafield
+   * The data field, or a function that receives each record and returns
+   * the value.
+   * @param {boolean|object|function} [query=false]
+   * A query object (see #find) or filter function, to calculate the average
+   * for a subset of the #records. Set this to `true` to include records
+   * excluded by filters.
+   * @return {number}
+   * Returns `null` when no record has a numeric value.
+   */
+  avg (field, query = false) {
+    let values = this.getAggregateValues(field, query).filter(value => typeof value === 'number' && !isNaN(value))
+
+    if (values.length === 0) {
+      return null
+    }
+
+    return values.reduce((total, value) => total + value, 0) / values.length
+  }
+
+  /**
+   * @method distinct
+   * Retrieve the unique values of a field, in the order they first appear.
+   * `null` and `undefined` values are ignored.
+   * @param {string|function} datafield
+   * The data field, or a function that receives each record and returns
+   * the value.
+   * @param {boolean|object|function} [query=false]
+   * A query object (see #find) or filter function, to retrieve the values
+   * of a subset of the #records. Set this to `true` to include records
+   * excluded by filters.
+   * @return {array}
+   */
+  distinct (field, query = false) {
+    let seen = new Set()
+
+    return this.getAggregateValues(field, query).filter(value => {
+      let key = value instanceof Date ? value.valueOf() : value
+
+      if (seen.has(key)) {
+        return false
+      }
+
+      seen.add(key)
+      return true
+    })
+  }
+
+  /**
+   * @method groupBy
+   * Group the #records by the value of a field.
+   *
+   * Without aggregates, each group contains the matching records:
+   *
+   * ```js
+   * People.groupBy('department')
+   * // { sales: [<NGN.DATA.Model>, ...], support: [...] }
+   * ```
+   *
+   * Aggregates are calculated for each group when they are specified.
+   * Each aggregate is the name of an aggregation method (#count, #sum,
+   * #avg, #min, #max, or #distinct), followed by the field it applies to:
+   *
+   * ```js
+   * People.groupBy('department', {
+   *   headcount: 'count',
+   *   payroll: ['sum', 'salary'],
+   *   averageAge: ['avg', 'age']
+   * }, { active: true })
+   * // { sales: { headcount: 3, payroll: 270000, averageAge: 41 }, ... }
+   * ```
+   *
+   * Aggregates are calculated when this method is executed. To keep
+   * aggregates up to date as records change, group the records of a
+   * NGN.DATA.View (see #view) and recalculate them when the view triggers
+   * record events.
+   * @param {string|function} datafield
+   * The data field, or a function that receives each record and returns
+   * the group value.
+   * @param {object} [aggregates]
+   * The aggregates to calculate for each group.
+   * @param {boolean|object|function} [query=false]
+   * A query object (see #find) or filter function, to group a subset of
+   * the #records. Set this to `true` to include records excluded by filters.
+   * @return {object}
+   * The groups, keyed by the (string) group value. Records without a value
+   * are grouped under `null`.
+   */
+  groupBy (field, aggregates = null, query = false) {
+    let groups = {}
+
+    this.getAggregateRecords(query).forEach(record => {
+      let value = NGN.isFn(field) ? field(record) : this.resolvePath(record, field)[0]
+      let key = String(NGN.coalesce(value instanceof Date ? value.toISOString() : value, null))
+
+      groups[key] = NGN.coalesce(groups[key], [])
+      groups[key].push(record)
+    })
+
+    if (aggregates === null) {
+      return groups
+    }
 
-  /**
-   * @method clearIndices
-   * Clear all indices from the indexes.
-   */
-  clearIndices () {
-    Object.keys(this._index).forEach(key => {
-      this._index[key] = []
+    const methods = ['count', 'sum', 'avg', 'min', 'max', 'distinct']
+
+    Object.keys(groups).forEach(key => {
+      let records = groups[key]
+      let result = {}
+
+      Object.keys(aggregates).forEach(name => {
+        let aggregate = Array.isArray(aggregates[name]) ? aggregates[name] : [aggregates[name]]
+        let method = aggregate[0]
+
+        if (methods.indexOf(method) < 0) {
+          throw new Error(`Unrecognized aggregate: ${method}`)
+        }
+
+        result[name] = method === 'count' ? records.length : this[method](aggregate[1], records)
+      })
+
+      groups[key] = result
     })
+
+    return groups
   }
 
   /**
-   * @method deleteIndexes
-   * Remove all indexes.
-   * @param {boolean} [suppressEvents=true]
-   * Prevent events from firing on the removal of each index.
+   * @method tokenize
+   * Split a value into the words used by full-text indexes.
+   * @param {any} value
+   * The value to tokenize.
+   * @return {array}
+   * The lowercase words, without accents.
+   * @private
    */
-  deleteIndexes (suppressEvents) {
-    suppressEvents = NGN.coalesce(suppressEvents, true)
+  tokenize (value) {
+    if (value === null || value === undefined) {
+      return []
+    }
 
-    Object.keys(this._index).forEach(key => {
-      this.deleteIndex(key, suppressEvents)
-    })
+    if (Array.isArray(value)) {
+      return value.reduce((tokens, item) => tokens.concat(this.tokenize(item)), [])
+    }
+
+    value = String(value).toLowerCase()
+
+    if (NGN.isFn(value.normalize)) {
+      value = value.normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    }
+
+    return value.split(/[\s!-/:-@[-`{-~\u00a0-\u00bf\u2000-\u206f]+/).filter(token => token.length > 0)
   }
 
   /**
-   * @method applyIndices
-   * Apply the values to the index.
+   * @method applyTextIndex
+   * Add a record value to a full-text index.
+   * @param {string} field
+   * The name of the indexed field.
    * @param {NGN.DATA.Model} record
-   * The record which should be applied to the index.
-   * @param {number} number
-   * The record index number.
+   * The record.
+   * @param {any} value
+   * The record value.
    * @private
    */
-  applyIndices (record, number) {
-    let indexes = Object.keys(this._index)
+  applyTextIndex (field, record, value) {
+    let index = this._textIndex[field]
+    let tokens = this.tokenize(value)
 
-    if (indexes.length === 0) {
+    if (tokens.length === 0) {
       return
     }
 
-    indexes.forEach(field => {
-      if (record.hasOwnProperty(field)) {
-        let values = this._index[field]
-
-        // Check existing records for similar values
-        for (let i = 0; i < values.length; i++) {
-          if (values[i][0] === record[field]) {
-            this._index[field][i].push(number)
-            return
-          }
-        }
+    index.lengths.set(record, tokens.length)
 
-        // No matching words, create a new one.
-        this._index[field].push([record[field], number])
+    tokens.forEach(token => {
+      if (!index.tokens.has(token)) {
+        index.tokens.set(token, new Map())
       }
+
+      let postings = index.tokens.get(token)
+      postings.set(record, NGN.coalesce(postings.get(record), 0) + 1)
     })
   }
 
   /**
-   * @method unapplyIndices
-   * This removes a record from all relevant indexes simultaneously.
-   * Commonly used when removing a record from the store.
-   * @param  {number} indexNumber
-   * The record index.
+   * @method unapplyTextIndex
+   * Remove a record from a full-text index.
+   * @param {string} field
+   * The name of the indexed field.
+   * @param {NGN.DATA.Model} record
+   * The record.
+   * @param {any} value
+   * The value of the record when it was indexed.
    * @private
    */
-  unapplyIndices (num) {
-    Object.keys(this._index).forEach(field => {
-      const i = this._index[field].indexOf(num)
-      if (i >= 0) {
-        this._index[field].splice(i, 1)
+  unapplyTextIndex (field, record, value) {
+    let index = this._textIndex[field]
+
+    if (!index.lengths.has(record)) {
+      return
+    }
+
+    index.lengths.delete(record)
+
+    this.tokenize(value).forEach(token => {
+      let postings = index.tokens.get(token)
+
+      if (postings) {
+        postings.delete(record)
+        postings.size === 0 && index.tokens.delete(token)
       }
     })
   }
 
   /**
-   * @method updateIndice
-   * Update the index with new values.
-   * @param  {string} fieldname
+   * @method buildTextIndex
+   * Generate a full-text index from the current record set.
+   * @param {string} field
    * The name of the indexed field.
-   * @param  {any} oldValue
-   * The original value. This is used to remove the old value from the index.
-   * @param  {any} newValue
-   * The new value.
-   * @param  {number} indexNumber
-   * The number of the record index.
    * @private
    */
-  updateIndice (field, oldValue, newValue, num) {
-    if (!this._index.hasOwnProperty(field) || oldValue === newValue) {
-      return
+  buildTextIndex (field) {
+    this._textIndex[field] = {
+      tokens: new Map(),
+      lengths: new Map()
     }
 
-    let ct = 0
-
-    for (let i = 0; i < this._index[field].length; i++) {
-      let value = this._index[field][i][0]
-
-      if (value === oldValue) {
-        this._index[field][i].splice(this._index[field][i].indexOf(num), 1)
-        ct++
-      } else if (newValue === undefined) {
-        // If thr new value is undefined, the field was removed for the record.
-        // This can be skipped.
-        ct++
-      } else if (value === newValue) {
-        this._index[field][i].push(num)
-        this._index[field][i].shift()
-        this._index[field][i].sort()
-        this._index[field][i].unshift(value)
-        ct++
+    this._data.forEach(record => {
+      record.hasOwnProperty(field) && this.applyTextIndex(field, record, record[field])
+    })
+  }
+
+  /**
+   * @method search
+   * Find records using the full-text indexes (see #createTextIndex).
+   * Every word of the text must be found in at least one of the fields.
+   * The last word also matches the beginning of longer words (i.e.
+   * `sho` matches `shoe`), unless `prefix` is `false`.
+   *
+   * Records are ordered by relevance. Exact matches score higher than
+   * prefix matches, uncommon words score higher than common words, and
+   * matches in short values score higher than matches in long values.
+   *
+   * ```js
+   * Products.search('red sho', {
+   *   fields: ['name'],
+   *   limit: 10
+   * })
+   * ```
+   * @param {string} text
+   * The text to search for.
+   * @param {object} [options]
+   * @param {array} [options.fields]
+   * The fields to search. This defaults to every field with a full-text index.
+   * @param {number} [options.limit]
+   * The maximum number of records to return.
+   * @param {boolean} [options.prefix=true]
+   * Set this to `false` to only match whole words.
+   * @param {boolean} [options.ignoreFilters=false]
+   * Set this to `true` to search the full unfiltered record set.
+   * @return {array}
+   * The matching records, most relevant first.
+   */
+  search (text, options = {}) {
+    let fields = NGN.coalesce(options.fields, Object.keys(this._textIndex)).filter(field => {
+      if (!this._textIndex.hasOwnProperty(field)) {
+        console.warn('The store does not have a full-text index for %c' + field + '%c.', NGN.css, '')
+        return false
       }
 
-      if (ct === 2) {
-        return
+      return true
+    })
+
+    let words = this.tokenize(text).filter((word, i, list) => list.indexOf(word) === i)
+
+    if (words.length === 0 || fields.length === 0) {
+      return []
+    }
+
+    let total = this._data.length
+    let scores = new Map()
+
+    words.forEach((word, position) => {
+      let prefix = NGN.coalesce(options.prefix, true) && position === words.length - 1
+      let matched = new Map()
+
+      fields.forEach(field => {
+        let index = this._textIndex[field]
+
+        const apply = (postings, weight) => {
+          let idf = Math.log(1 + total / postings.size)
+
+          postings.forEach((count, record) => {
+            let score = weight * idf * count / Math.sqrt(index.lengths.get(record))
+            matched.set(record, NGN.coalesce(matched.get(record), 0) + score)
+          })
+        }
+
+        index.tokens.has(word) && apply(index.tokens.get(word), 1)
+
+        // Only the last word is matched as a prefix, which requires a scan of the vocabulary.
+        if (prefix) {
+          index.tokens.forEach((postings, token) => {
+            token !== word && token.indexOf(word) === 0 && apply(postings, 0.5 * word.length / token.length)
+          })
+        }
+      })
+
+      // Records must match every word.
+      if (position === 0) {
+        scores = matched
+      } else {
+        scores.forEach((score, record) => {
+          matched.has(record) ? scores.set(record, score + matched.get(record)) : scores.delete(record)
+        })
       }
+    })
+
+    let records = []
+
+    scores.forEach((score, record) => records.push(record))
+
+    if (!NGN.coalesce(options.ignoreFilters, false)) {
+      records = this.applyFilters(records)
     }
+
+    let order = new Map()
+
+    this._data.forEach((record, index) => order.set(record, index))
+
+    records.sort((a, b) => (scores.get(b) - scores.get(a)) || (order.get(a) - order.get(b)))
+
+    return options.limit > 0 ? records.slice(0, options.limit) : records
   }
 
   /**
@@ -1530,8 +3565,7 @@ class NgnDataStore extends NGN.EventEmitter {
     })
 
     if (indexes.length === 1) {
-      indexes[0].shift()
-      return indexes[0]
+      return indexes[0].slice(1)
     }
 
     return []
@@ -1628,8 +3662,11 @@ class NgnDataStore extends NGN.EventEmitter {
   reindex () {
     this.clearIndices()
     this._data.forEach((record, index) => {
-      this.applyIndices(record, index)
+      this.applyIndices(record, index, false)
     })
+
+    Object.keys(this._sortedIndex).forEach(field => this.buildSortedIndex(field))
+    Object.keys(this._textIndex).forEach(field => this.buildTextIndex(field))
   }
 
   /**
@@ -1652,23 +3689,31 @@ class NgnDataStore extends NGN.EventEmitter {
    *     'record1_checksum',
    *     'record2_checksum'
    *   ],
+   *   ids: [
+   *     'record1_id',
+   *     'record2_id'
+   *   ],
+   *   keys: [
+   *     'record1_key',
+   *     'record2_key'
+   *   ],
    *   data: { ... } // Actual data at the time of the snapshot
    * }
    * ```
+   *
+   * The `keys` identify each record instance across the snapshots of the
+   * store, including records without an ID (see #diff).
+   *
+   * The archive retains the latest #maxSnapshots snapshots. Older snapshots,
+   * and snapshots older than the #snapshotTtl, are discarded.
    */
   snapshot () {
     this.snapshotarchive = NGN.coalesce(this.snapshotarchive, [])
 
-    let dataset = {
-      timestamp: (new Date()).toJSON(),
-      checksum: NGN.DATA.util.checksum(JSON.stringify(this.data)).toString(),
-      modelChecksums: this.data.map((item) => {
-        return NGN.DATA.util.checksum(JSON.stringify(item)).toString()
-      }),
-      data: this.data
-    }
+    let dataset = this.createSnapshot()
 
     this.snapshotarchive.unshift(dataset)
+    this.pruneSnapshots()
     this.emit('snapshot', dataset)
 
     return dataset
@@ -1681,6 +3726,343 @@ class NgnDataStore extends NGN.EventEmitter {
   clearSnapshots () {
     this.snapshotarchive = null
   }
+
+  /**
+   * @method createSnapshot
+   * Capture the current state of the store.
+   * @return {object}
+   * A snapshot (see #snapshot).
+   * @private
+   */
+  createSnapshot () {
+    return {
+      timestamp: (new Date()).toJSON(),
+      checksum: NGN.DATA.util.checksum(JSON.stringify(this.data)).toString(),
+      modelChecksums: this.data.map((item) => {
+        return NGN.DATA.util.checksum(JSON.stringify(item)).toString()
+      }),
+      ids: this._data.map(record => NGN.coalesce(record.id)),
+      keys: this._data.map(record => this.getSnapshotKey(record)),
+      data: this.data
+    }
+  }
+
+  /**
+   * @method getSnapshotKey
+   * Retrieve the key identifying a record in snapshots. Keys are generated
+   * the first time a record is captured and do not change afterward.
+   * @param {NGN.DATA.Model} record
+   * @return {string}
+   * @private
+   */
+  getSnapshotKey (record) {
+    if (!this._snapshotKeys.has(record)) {
+      this._snapshotKeys.set(record, NGN.DATA.util.GUID())
+    }
+
+    return this._snapshotKeys.get(record)
+  }
+
+  /**
+   * @method pruneSnapshots
+   * Remove archived snapshots exceeding the #maxSnapshots or #snapshotTtl
+   * limits.
+   * @private
+   */
+  pruneSnapshots () {
+    if (this.snapshotarchive === null) {
+      return
+    }
+
+    if (this.snapshotTtl >= 0) {
+      let expiration = Date.now() - this.snapshotTtl
+
+      this.snapshotarchive = this.snapshotarchive.filter(snapshot => (new Date(snapshot.timestamp)).getTime() >= expiration)
+    }
+
+    if (this.maxSnapshots >= 0 && this.snapshotarchive.length > this.maxSnapshots) {
+      this.snapshotarchive.splice(this.maxSnapshots)
+    }
+  }
+
+  /**
+   * @method getSnapshot
+   * Retrieve a snapshot.
+   * @param {object|number} snapshot
+   * A snapshot or the index of a snapshot in the archive (see #snapshots).
+   * @return {object}
+   * @private
+   */
+  getSnapshot (snapshot) {
+    if (typeof snapshot === 'number') {
+      if (!this.snapshots[snapshot]) {
+        throw new Error(`Snapshot ${snapshot} does not exist.`)
+      }
+
+      return this.snapshots[snapshot]
+    }
+
+    if (!snapshot || !Array.isArray(snapshot.data)) {
+      throw new Error('Invalid snapshot.')
+    }
+
+    return snapshot
+  }
+
+  /**
+   * @method getSnapshotEntries
+   * Identify the records of a snapshot. Records are identified by their
+   * snapshot key (see #createSnapshot). Snapshots without keys identify
+   * records by ID, or by their position within the snapshot when records
+   * do not have an ID.
+   * @param {object} snapshot
+   * @param {boolean} [keyed=true]
+   * Set this to `false` to ignore the snapshot keys (i.e. when comparing
+   * with a snapshot that does not have keys).
+   * @return {Map}
+   * A map of the record keys and `{id, key, index, checksum, data}` objects.
+   * @private
+   */
+  getSnapshotEntries (snapshot, keyed = true) {
+    let entries = new Map()
+    let ids = NGN.coalesce(snapshot.ids, [])
+    let keys = keyed ? NGN.coalesce(snapshot.keys, []) : []
+
+    snapshot.data.forEach((data, index) => {
+      let id = NGN.coalesce(ids[index])
+      let key = NGN.coalesce(keys[index])
+      let entryKey = 'index:' + index
+
+      if (key !== null) {
+        entryKey = 'key:' + key
+      } else if (id !== null) {
+        entryKey = 'id:' + id
+      }
+
+      entries.set(entryKey, {
+        id: id,
+        key: key,
+        index: index,
+        checksum: NGN.coalesce(snapshot.modelChecksums[index], NGN.DATA.util.checksum(JSON.stringify(data)).toString()),
+        data: data
+      })
+    })
+
+    return entries
+  }
+
+  /**
+   * @method diff
+   * Identify the differences between two snapshots.
+   *
+   * ```js
+   * let before = People.snapshot()
+   *
+   * People.add({ fname: 'John', lname: 'Doe' })
+   * People.first.lname = 'Smith'
+   *
+   * console.log(People.diff(before))
+   * // {
+   * //   created: [{ id: 'c...', index: 5, data: { fname: 'John', lname: 'Doe' } }],
+   * //   deleted: [],
+   * //   modified: [{
+   * //     id: 'a...',
+   * //     oldIndex: 0,
+   * //     newIndex: 0,
+   * //     changes: [{ field: 'lname', old: 'Jones', new: 'Smith' }]
+   * //   }]
+   * // }
+   * ```
+   *
+   * Records are matched by their snapshot key, so each record is tracked
+   * across the snapshots of the store, even when it does not have an ID.
+   * Records of snapshots without keys are matched by ID, or by their
+   * position within each snapshot when they do not have an ID.
+   * @param {object|number} snapshot
+   * The original snapshot, or the index of an archived snapshot (see #snapshots).
+   * @param {object|number} [target]
+   * The snapshot to compare with the original. Defaults to the current
+   * state of the store.
+   * @return {object}
+   * An object containing `created`, `deleted` and `modified` arrays.
+   * Created and deleted records are described by their `id`, `index` and
+   * `data`. Modified records are described by their `id`, `oldIndex`,
+   * `newIndex` and a list of field `changes` (`{field, old, new}`).
+   */
+  diff (snapshot, target = null) {
+    snapshot = this.getSnapshot(snapshot)
+    target = target === null ? this.createSnapshot() : this.getSnapshot(target)
+
+    let keyed = Array.isArray(snapshot.keys) && Array.isArray(target.keys)
+    let original = this.getSnapshotEntries(snapshot, keyed)
+    let current = this.getSnapshotEntries(target, keyed)
+
+    let result = {
+      created: [],
+      deleted: [],
+      modified: []
+    }
+
+    original.forEach((entry, key) => {
+      if (!current.has(key)) {
+        return result.deleted.push({
+          id: entry.id,
+          index: entry.index,
+          data: entry.data
+        })
+      }
+
+      let currentEntry = current.get(key)
+
+      if (currentEntry.checksum === entry.checksum) {
+        return
+      }
+
+      let changes = []
+      let fields = Object.keys(entry.data)
+
+      Object.keys(currentEntry.data).forEach(field => fields.indexOf(field) < 0 && fields.push(field))
+
+      fields.forEach(field => {
+        if (JSON.stringify(entry.data[field]) !== JSON.stringify(currentEntry.data[field])) {
+          changes.push({
+            field: field,
+            old: entry.data[field],
+            new: currentEntry.data[field]
+          })
+        }
+      })
+
+      if (changes.length > 0) {
+        result.modified.push({
+          id: entry.id,
+          oldIndex: entry.index,
+          newIndex: currentEntry.index,
+          changes: changes
+        })
+      }
+    })
+
+    current.forEach((entry, key) => {
+      if (!original.has(key)) {
+        result.created.push({
+          id: entry.id,
+          index: entry.index,
+          data: entry.data
+        })
+      }
+    })
+
+    return result
+  }
+
+  /**
+   * @method restoreSnapshot
+   * Roll the store back to the state of a snapshot. Records that were
+   * added since the snapshot are removed, records that were removed are
+   * recreated, and modified records are reverted. Existing records are
+   * updated in place (they are not replaced).
+   *
+   * The restoration is applied as a #transaction, so events are triggered
+   * once the entire snapshot is restored. If the restoration fails, the
+   * store is left unchanged. Recreated records are new instances with
+   * the original ID (the snapshot data is loaded into a new #model).
+   *
+   * ```js
+   * let before = People.snapshot()
+   *
+   * People.clear()
+   *
+   * People.restoreSnapshot(before)
+   * ```
+   * @param {object|number} snapshot
+   * The snapshot, or the index of an archived snapshot (see #snapshots).
+   * @throws {Error}
+   * Thrown when a removed record cannot be recreated (i.e. it violates a
+   * unique index). The store is left unchanged.
+   * @fires snapshot.restored
+   * Triggered when the snapshot is restored. The snapshot is passed
+   * to handlers.
+   */
+  restoreSnapshot (snapshot) {
+    snapshot = this.getSnapshot(snapshot)
+
+    this.transaction(() => {
+      let keyed = Array.isArray(snapshot.keys)
+      let original = this.getSnapshotEntries(snapshot, keyed)
+      let current = this.getSnapshotEntries(this.createSnapshot(), keyed)
+      let records = new Map()
+
+      current.forEach((entry, key) => records.set(key, this._data[entry.index]))
+
+      // Remove records that did not exist when the snapshot was taken.
+      current.forEach((entry, key) => !original.has(key) && this.remove(records.get(key)))
+
+      original.forEach((entry, key) => {
+        // Recreate removed records (with their original ID).
+        if (!records.has(key)) {
+          let data = Object.assign({}, entry.data)
+          let record = data
+
+          if (this.model) {
+            record = new this.model() // eslint-disable-line new-cap
+            entry.id !== null && (data[record.idAttribute] = entry.id)
+            record.load(data)
+          }
+
+          record = this.add(record)
+
+          if (!record) {
+            throw new Error('Cannot restore the snapshot. A removed record could not be recreated (duplicate record or unique index violation).')
+          }
+
+          // The recreated record replaces the original in later diffs.
+          entry.key !== null && this._snapshotKeys.set(record, entry.key)
+
+          return records.set(key, record)
+        }
+
+        let currentEntry = current.get(key)
+
+        if (currentEntry.checksum === entry.checksum) {
+          return
+        }
+
+        // Revert modified fields.
+        let record = records.get(key)
+        let reverseMap = NGN.coalesce(record.reverseMap, {})
+
+        Object.keys(entry.data).forEach(field => {
+          if (JSON.stringify(entry.data[field]) === JSON.stringify(currentEntry.data[field])) {
+            return
+          }
+
+          let fieldname = NGN.coalesce(reverseMap[field], field)
+
+          if (record.hasRelationship(fieldname)) {
+            record.setSilent(fieldname, entry.data[field])
+          } else {
+            record[fieldname] = entry.data[field]
+          }
+        })
+      })
+
+      // Restore the order of the records (unless a sort order is persisted).
+      if (this._sorter === null) {
+        let order = []
+
+        original.forEach((entry, key) => order.push(records.get(key)))
+
+        if (order.some((record, index) => this._data[index] !== record)) {
+          this._data = order.concat(this._data.filter(record => order.indexOf(record) < 0))
+          this.reindex()
+          this.emit('sort')
+        }
+      }
+    })
+
+    this.emit('snapshot.restored', snapshot)
+  }
 }
 
 /**
@@ -1702,4 +4084,10 @@ class NgnDataStore extends NGN.EventEmitter {
  * array.
  */
 
+NGN.createException({
+  name: 'DataTransactionError',
+  type: 'DataTransactionError',
+  message: 'A data store transaction failed.'
+})
+
 NGN.DATA.Store = NgnDataStore
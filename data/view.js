@@ -0,0 +1,357 @@
+'use strict'
+
+/**
+ * @class NGN.DATA.View
+ * A live, read-only store containing the records of another store
+ * (the #source) that match a query. Views are usually created with
+ * NGN.DATA.Store#view.
+ *
+ * The view updates itself incrementally as the #source changes. Records
+ * are shared with the source store, so a view does not copy any data.
+ * All of the read methods of NGN.DATA.Store (#find, #page, #search, etc)
+ * are available, but methods that modify the record set (#add, #remove,
+ * #clear, etc) throw an error.
+ *
+ * ```js
+ * let Adults = People.view({ age: { $gte: 18 } }, { lname: 'asc' })
+ *
+ * Adults.on('record.create', (record) => grid.insert(Adults.indexOf(record), record))
+ * Adults.on('record.delete', (record, index) => grid.remove(index))
+ * Adults.on('record.move', (change) => grid.move(change.oldIndex, change.newIndex))
+ *
+ * People.add({ fname: 'John', lname: 'Doe', age: 37 }) // Triggers record.create on Adults
+ * ```
+ * @extends NGN.DATA.Store
+ * @fires record.create
+ * Triggered when a record enters the view. The record is passed
+ * to handlers.
+ * @fires record.update
+ * Triggered when a record of the view is modified (and still matches
+ * the query). The record and the change (see NGN.DATA.Model) are passed
+ * to handlers.
+ * @fires record.delete
+ * Triggered when a record leaves the view. The record and its former
+ * index are passed to handlers.
+ * @fires record.move
+ * Triggered when the position of a record within the view changes. An
+ * object with `oldIndex`, `newIndex` and `record` attributes is passed
+ * to handlers.
+ * @fires clear
+ * Triggered when the source store is cleared.
+ */
+class NgnDataView extends NGN.DATA.Store {
+  constructor (source, query = null, sort = null) {
+    if (!(source instanceof NGN.DATA.Store)) {
+      throw new Error('NGN.DATA.View requires a source NGN.DATA.Store.')
+    }
+
+    super({
+      model: source.model
+    })
+
+    Object.defineProperties(this, {
+      /**
+       * @property {NGN.DATA.Store} source
+       * The store whose records are presented by the view.
+       * @readonly
+       */
+      source: NGN.const(source),
+
+      // The query object or filter function.
+      query: NGN.privateconst(query),
+
+      // The compare function used to order the view (null = source order).
+      sorter: NGN.privateconst(sort === null ? null : source.getSortComparator(sort)),
+
+      // Source store event handlers (see #destroy).
+      handlers: NGN.privateconst({})
+    })
+
+    this.handlers['record.create'] = (record) => this.include(record)
+    this.handlers['record.restored'] = (record) => this.include(record)
+    this.handlers['record.update'] = (record, delta) => this.synchronize(record, delta)
+    this.handlers['record.delete'] = (record) => this.exclude(record)
+    this.handlers['record.move'] = () => this.sorter === null && this.refresh()
+    this.handlers['sort'] = () => this.sorter === null && this.refresh()
+    this.handlers['clear'] = () => {
+      this._data = []
+      this.clearIndices()
+      this.emit('clear')
+    }
+
+    // Bulk loads do not trigger record events.
+    this.handlers['load'] = () => this.refresh()
+    this.handlers['reload'] = () => this.refresh()
+
+    Object.keys(this.handlers).forEach(eventName => this.source.on(eventName, this.handlers[eventName]))
+
+    this._data = this.source._data.filter(record => this.accepts(record))
+    this.sorter !== null && this._data.sort(this.sorter)
+    this.reindex()
+  }
+
+  /**
+   * @method accepts
+   * Determine whether a record matches the query of the view.
+   * @param {NGN.DATA.Model} record
+   * @return {boolean}
+   * @private
+   */
+  accepts (record) {
+    if (this.query === null) {
+      return true
+    }
+
+    if (NGN.isFn(this.query)) {
+      return this.query(record)
+    }
+
+    return this.matches(record, this.query)
+  }
+
+  /**
+   * @method locate
+   * Identify where a record belongs in the view.
+   * @param {NGN.DATA.Model} record
+   * A record that is not part of the view.
+   * @return {number}
+   * @private
+   */
+  locate (record) {
+    let compare = this.sorter
+
+    if (compare === null) {
+      let positions = new Map()
+
+      this.source._data.forEach((item, index) => positions.set(item, index))
+
+      compare = (a, b) => positions.get(a) - positions.get(b)
+    }
+
+    let low = 0
+    let high = this._data.length
+
+    while (low < high) {
+      let middle = (low + high) >>> 1
+
+      if (compare(this._data[middle], record) <= 0) {
+        low = middle + 1
+      } else {
+        high = middle
+      }
+    }
+
+    return low
+  }
+
+  /**
+   * @method place
+   * Add a record to the view at the appropriate position.
+   * @param {NGN.DATA.Model} record
+   * @return {number}
+   * The position of the record.
+   * @private
+   */
+  place (record) {
+    let index = this.locate(record)
+
+    this._data.splice(index, 0, record)
+
+    if (index === this._data.length - 1) {
+      this.applyIndices(record, index)
+    } else {
+      this.reindex()
+    }
+
+    return index
+  }
+
+  /**
+   * @method include
+   * Respond to a new record in the source store.
+   * @param {NGN.DATA.Model} record
+   * @fires record.create
+   * @private
+   */
+  include (record) {
+    if (this._data.indexOf(record) < 0 && this.accepts(record)) {
+      this.place(record)
+      this.emit('record.create', record)
+    }
+  }
+
+  /**
+   * @method exclude
+   * Respond to a record removed from the source store (or a record that
+   * no longer matches the query).
+   * @param {NGN.DATA.Model} record
+   * @fires record.delete
+   * @private
+   */
+  exclude (record) {
+    let index = this._data.indexOf(record)
+
+    if (index >= 0) {
+      this._data.splice(index, 1)
+      this.unapplyIndices(index, record)
+      this.emit('record.delete', record, index)
+    }
+  }
+
+  /**
+   * @method synchronize
+   * Respond to a modified record in the source store. The record may
+   * enter, leave or move within the view.
+   * @param {NGN.DATA.Model} record
+   * @param {object} delta
+   * The change (see NGN.DATA.Model).
+   * @fires record.create
+   * @fires record.update
+   * @fires record.delete
+   * @fires record.move
+   * @private
+   */
+  synchronize (record, delta) {
+    let index = this._data.indexOf(record)
+
+    if (index < 0) {
+      return this.include(record)
+    }
+
+    if (!this.accepts(record)) {
+      return this.exclude(record)
+    }
+
+    this.updateIndice(delta.field, delta.old, delta.new, index)
+
+    if (this.sorter !== null) {
+      this._data.splice(index, 1)
+
+      let newIndex = this.locate(record)
+
+      this._data.splice(newIndex, 0, record)
+
+      if (newIndex !== index) {
+        this.reindex()
+        this.emit('record.move', {
+          oldIndex: index,
+          newIndex: newIndex,
+          record: record
+        })
+      }
+    }
+
+    this.emit('record.update', record, delta)
+  }
+
+  /**
+   * @method refresh
+   * Recalculate the entire view. This is used when the source store is
+   * bulk loaded or reordered. Events are triggered for every record that
+   * entered, left or moved within the view. The events can be replayed in
+   * order: removed records are reported from the highest index down, then
+   * each creation and move is reported relative to the view as it stands
+   * after the preceding events.
+   * @fires record.create
+   * @fires record.delete
+   * @fires record.move
+   * @private
+   */
+  refresh () {
+    let previous = this._data
+    let current = this.source._data.filter(record => this.accepts(record))
+
+    this.sorter !== null && current.sort(this.sorter)
+
+    this._data = current
+    this.reindex()
+
+    let members = new Set(current)
+
+    // Replay the changes against a copy of the former view.
+    let mirror = previous.slice()
+
+    for (let index = previous.length - 1; index >= 0; index--) {
+      if (!members.has(previous[index])) {
+        mirror.splice(index, 1)
+        this.emit('record.delete', previous[index], index)
+      }
+    }
+
+    let present = new Set(mirror)
+
+    current.forEach((record, index) => {
+      if (mirror[index] === record) {
+        return
+      }
+
+      if (!present.has(record)) {
+        mirror.splice(index, 0, record)
+        return this.emit('record.create', record)
+      }
+
+      // Records before this position are already in place.
+      let oldIndex = mirror.indexOf(record, index + 1)
+
+      mirror.splice(oldIndex, 1)
+      mirror.splice(index, 0, record)
+
+      this.emit('record.move', {
+        oldIndex: oldIndex,
+        newIndex: index,
+        record: record
+      })
+    })
+  }
+
+  /**
+   * @method destroy
+   * Stop tracking changes to the #source. Views should be destroyed when
+   * they are no longer used, so they can be garbage collected.
+   */
+  destroy () {
+    Object.keys(this.handlers).forEach(eventName => this.source.off(eventName, this.handlers[eventName]))
+  }
+
+  add () {
+    NgnDataView.readOnly()
+  }
+
+  insert () {
+    NgnDataView.readOnly()
+  }
+
+  remove () {
+    NgnDataView.readOnly()
+  }
+
+  clear () {
+    NgnDataView.readOnly()
+  }
+
+  load () {
+    NgnDataView.readOnly()
+  }
+
+  reload () {
+    NgnDataView.readOnly()
+  }
+
+  bulk () {
+    NgnDataView.readOnly()
+  }
+
+  move () {
+    NgnDataView.readOnly()
+  }
+
+  sort () {
+    NgnDataView.readOnly()
+  }
+
+  static readOnly () {
+    throw new Error('NGN.DATA.View is read-only. Modify the source store instead.')
+  }
+}
+
+NGN.DATA.View = NgnDataView